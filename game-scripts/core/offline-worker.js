@@ -1,8 +1,10 @@
+import { PRIORITY, allocate, execPlan, launch } from "../lib/ram-allocator.js";
+import { CHANNELS, readData } from "../lib/bus.js";
+
 /** @param {NS} ns */
 export async function main(ns) {
     const WORKER_SCRIPT = "workers/bot-worker.js";
     const GO_PLAYER_SCRIPT = "go/go-player.js";
-    const WORKER_PORT = 1;
     const enableGo = ns.args.includes("--go");
 
     ns.tprint("=== OFFLINE WORKER SETUP ===");
@@ -26,7 +28,7 @@ export async function main(ns) {
     if (enableGo) {
         ns.tprint("Starting Go bot...");
         if (ns.fileExists(GO_PLAYER_SCRIPT, "home")) {
-            const goPid = ns.exec(GO_PLAYER_SCRIPT, "home");
+            const goPid = launch(ns, { script: GO_PLAYER_SCRIPT, splittable: false, priority: PRIORITY.MANAGER, hosts: ["home"] });
             if (goPid !== 0) {
                 ns.tprint(`SUCCESS: Go bot started (PID: ${goPid})`);
             } else {
@@ -44,23 +46,28 @@ export async function main(ns) {
         return;
     }
 
-    // Step 3: Calculate maximum threads (leave 10% RAM available)
+    // Step 3: Ask the RAM allocator for as many home threads as workers may use
+    // (it keeps the home reserve and manager headroom free)
     const scriptRam = ns.getScriptRam(WORKER_SCRIPT);
     const totalRam = ns.getServerMaxRam("home");
-    const usedRam = ns.getServerUsedRam("home"); // This script's RAM usage
-    const reservedRam = totalRam * 0.10; // Reserve 10% of total RAM
-    const availableRam = totalRam - usedRam - reservedRam;
-    const maxThreads = Math.floor(availableRam / scriptRam);
+    const availableRam = totalRam - ns.getServerUsedRam("home");
+    const plan = allocate(ns, {
+        script: WORKER_SCRIPT,
+        threads: Infinity,
+        splittable: false,
+        priority: PRIORITY.WORKER,
+        hosts: ["home"]
+    });
+    const maxThreads = plan.threads;
 
     if (maxThreads <= 0) {
         ns.tprint(`ERROR: Not enough RAM to run ${WORKER_SCRIPT}`);
-        ns.tprint(`Need ${scriptRam}GB, have ${availableRam}GB available`);
+        ns.tprint(`Need ${scriptRam}GB, have ${availableRam}GB free before reserves`);
         return;
     }
 
     // Step 4: Check what target is available
-    const currentTarget = ns.peek(WORKER_PORT);
-    const targetServer = currentTarget !== "NULL PORT DATA" ? currentTarget : "n00dles";
+    const targetServer = readData(ns, CHANNELS.TARGET, "n00dles");
 
     // Step 5: Display setup info
     ns.tprint("Setup Information:");
@@ -73,7 +80,7 @@ export async function main(ns) {
     // Step 6: Start the worker with max threads
     ns.tprint(`Starting ${WORKER_SCRIPT} with ${maxThreads} threads...`);
 
-    const pid = ns.exec(WORKER_SCRIPT, "home", maxThreads);
+    const pid = execPlan(ns, plan)[0];
 
     if (pid !== 0) {
         ns.tprint(`SUCCESS: ${WORKER_SCRIPT} started with PID ${pid}`);
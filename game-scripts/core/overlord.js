@@ -1,3 +1,8 @@
+import { PRIORITY, launch, getRamPool, totalAvailableRam } from "../lib/ram-allocator.js";
+import { planTargets, getWorkerCapacity } from "../lib/target-planner.js";
+import { NETWORK_EVENT, NETWORK_FILE, drainNetworkEvents, loadNetwork } from "../lib/network.js";
+import { CHANNELS, publish } from "../lib/bus.js";
+
 /** @param {NS} ns */
 export async function main(ns) {
     // Configuration
@@ -5,26 +10,29 @@ export async function main(ns) {
         SCRIPTS: {
             HACKNET: "managers/hacknet-farm.js",
             PURCHASE_SERVER: "managers/purchase-server-manager.js",
+            HOME_MANAGER: "managers/home-manager.js",
             HACK_MANAGER: "managers/hack-manager.js",
+            BATCHER: "managers/batcher.js",
             SERVER_DISCOVERY: "discovery/server-discovery.js",
             PORT_MONITOR: "monitoring/port-monitor.js",
+            METRICS_RECORDER: "monitoring/metrics-recorder.js",
             TOR_MANAGER: "managers/tor-manager.js",
             CONTRACT_SOLVER: "managers/contract-solver.js",
             AUGMENTATION_PLANNER: "managers/augmentation-planner.js",
             STAT_GRINDER: "managers/stat-grinder.js",
+            FACTION_MANAGER: "managers/faction-manager.js",
             GO_PLAYER: "go/go-player.js",
+            STOCK_TRADER: "managers/stock-trader.js",
+            RESET_MANAGER: "managers/reset-manager.js",
         },
         FILES: {
-            SERVER_LIST: "/servers/server_info.txt",
-        },
-        PORTS: {
-            WORKER: 1,
-            STATUS: 2, // Port for status updates
-            AUGMENTATION: 3, // Port for augmentation planning data
+            SERVER_LIST: NETWORK_FILE,
         },
         INTERVALS: {
             HACK_LEVEL: 50,
             MAIN_LOOP: 10000, // 10 seconds
+            TARGET_PLAN: 300000, // Re-plan targets at least every 5 minutes as prep states change
+            RESET_CHECK: 600000, // Ask the reset manager whether installing is worth it every 10 minutes
         },
         getDiscoveryInterval() {
             const hackLevel = ns.getHackingLevel();
@@ -45,7 +53,7 @@ export async function main(ns) {
     // Check if server info file exists, if not run server discovery first
     if (!ns.fileExists(CONFIG.FILES.SERVER_LIST)) {
         ns.tprint("Server info file not found. Running server discovery first...");
-        const discoveryPid = ns.exec(CONFIG.SCRIPTS.SERVER_DISCOVERY, "home");
+        const discoveryPid = launchManager(CONFIG.SCRIPTS.SERVER_DISCOVERY);
         if (discoveryPid === 0) {
             ns.tprint(`ERROR: Could not run ${CONFIG.SCRIPTS.SERVER_DISCOVERY}`);
             ns.tprint(`Please run 'run ${CONFIG.SCRIPTS.SERVER_DISCOVERY}' manually first`);
@@ -70,20 +78,32 @@ export async function main(ns) {
     // Check and run startup scripts
     await checkAndRunScript(CONFIG.SCRIPTS.HACKNET, "Initialized Hacknet farm");
     await checkAndRunScript(CONFIG.SCRIPTS.PURCHASE_SERVER, "Initialized Purchase Server Manager");
+    await checkAndRunScript(CONFIG.SCRIPTS.HOME_MANAGER, "Initialized Home Manager");
     await checkAndRunScript(CONFIG.SCRIPTS.PORT_MONITOR, "Started Port Monitor");
+    await checkAndRunScript(CONFIG.SCRIPTS.METRICS_RECORDER, "Started Metrics Recorder");
     await checkAndRunScript(CONFIG.SCRIPTS.STAT_GRINDER, "Started Stat Grinder");
+    await checkAndRunScript(CONFIG.SCRIPTS.FACTION_MANAGER, "Started Faction Manager");
     // Go Player is optional - only run if requested
     if (ns.args.includes("--go")) {
         await checkAndRunScript(CONFIG.SCRIPTS.GO_PLAYER, "Started Go Player");
     }
 
+    // Stock trader only runs once the market APIs have been bought
+    await runStockTraderIfAvailable();
+
     // Initial run of Hack Manager
     await runHackManager();
     ns.print("Completed initial Hack Manager run");
 
+    // Batcher schedules HWGW batches across every rooted host for the rest of the session
+    updateTargetPlan(ns);
+    let lastTargetPlanTime = Date.now();
+    await checkAndRunScript(CONFIG.SCRIPTS.BATCHER, "Started Batcher");
+
     let lastHackLevel = Math.floor(ns.getHackingLevel() / CONFIG.INTERVALS.HACK_LEVEL) * CONFIG.INTERVALS.HACK_LEVEL;
     let lastDiscoveryTime = 0;
     let lastAugmentationPlanTime = 0;
+    let lastResetCheckTime = Date.now();
 
     while (true) {
         const currentTime = Date.now();
@@ -97,6 +117,10 @@ export async function main(ns) {
             await runHackManager();
             lastHackLevel = Math.floor(currentHackLevel / CONFIG.INTERVALS.HACK_LEVEL) * CONFIG.INTERVALS.HACK_LEVEL;
             ns.print(`Ran Hack Manager at hack level ${lastHackLevel}`);
+
+            // New hacking level means new servers in reach and better odds everywhere
+            updateTargetPlan(ns);
+            lastTargetPlanTime = currentTime;
         }
 
         // Run server discovery based on dynamic interval
@@ -107,11 +131,24 @@ export async function main(ns) {
 
             await runServerDiscovery();
 
-            // Run contract solver after discovery to check for new contracts
-            await runContractSolver();
+            // Restart the contract watcher if it died
+            runContractSolver();
+
+            // Market access may have been bought since the last cycle
+            await runStockTraderIfAvailable();
 
             lastDiscoveryTime = currentTime;
             ns.print(`Discovery cycle completed (next in ${discoveryInterval/1000}s)`);
+
+            // Discovery may have found new hosts or rooted servers
+            updateTargetPlan(ns);
+            lastTargetPlanTime = currentTime;
+        }
+
+        // React to what discovery, hack-manager and backdoor-manager saw change
+        if (await handleNetworkEvents()) {
+            updateTargetPlan(ns);
+            lastTargetPlanTime = currentTime;
         }
 
         // Run augmentation planning every hour or after significant level increases
@@ -124,7 +161,15 @@ export async function main(ns) {
             ns.print("Augmentation planning completed");
         }
 
-        // Update status port with discovery timer info
+        // Installs (and relaunches main.js) once enough augmentations are queued
+        if (currentTime - lastResetCheckTime >= CONFIG.INTERVALS.RESET_CHECK) {
+            if (ns.fileExists(CONFIG.SCRIPTS.RESET_MANAGER, "home")) {
+                launchManager(CONFIG.SCRIPTS.RESET_MANAGER, "--auto");
+            }
+            lastResetCheckTime = currentTime;
+        }
+
+        // Publish status with discovery timer info
         const timeUntilNextDiscovery = Math.max(0, discoveryInterval - (currentTime - lastDiscoveryTime));
         const statusInfo = {
             nextDiscovery: Math.ceil(timeUntilNextDiscovery / 1000),
@@ -132,11 +177,13 @@ export async function main(ns) {
             hackLevel: currentHackLevel,
             lastUpdate: currentTime
         };
-        ns.clearPort(CONFIG.PORTS.STATUS);
-        ns.writePort(CONFIG.PORTS.STATUS, JSON.stringify(statusInfo));
+        publish(ns, CHANNELS.STATUS, statusInfo);
 
-        // Update best target
-        updateBestTarget(ns);
+        // Refresh the target plan as prep states and RAM change
+        if (currentTime - lastTargetPlanTime >= CONFIG.INTERVALS.TARGET_PLAN) {
+            updateTargetPlan(ns);
+            lastTargetPlanTime = currentTime;
+        }
 
         // Wait before next check
         await ns.sleep(CONFIG.INTERVALS.MAIN_LOOP);
@@ -144,16 +191,8 @@ export async function main(ns) {
 
     async function checkAndRunScript(scriptName, successMessage) {
         if (ns.fileExists(scriptName, "home")) {
-            // Check if we have enough RAM to run the script
-            const scriptRam = ns.getScriptRam(scriptName);
-            const availableRam = ns.getServerMaxRam("home") - ns.getServerUsedRam("home");
-
-            if (availableRam < scriptRam) {
-                ns.print(`Not enough RAM to run ${scriptName} (need ${scriptRam}GB, have ${availableRam}GB)`);
-                return;
-            }
-
-            const pid = ns.exec(scriptName, "home");
+            // The allocator checks home RAM, honouring the reserve kept for long-running managers
+            const pid = launchManager(scriptName);
             if (pid !== 0) {
                 ns.print(successMessage);
             } else {
@@ -164,10 +203,40 @@ export async function main(ns) {
         }
     }
 
+    function launchManager(scriptName, ...args) {
+        // Managers always run single-threaded on home
+        return launch(ns, { script: scriptName, splittable: false, priority: PRIORITY.MANAGER, hosts: ["home"] }, ...args);
+    }
+
     async function runHackManager() {
         await checkAndRunScript(CONFIG.SCRIPTS.HACK_MANAGER, "Running Hack Manager");
     }
 
+    async function handleNetworkEvents() {
+        // Returns whether the target plan needs refreshing
+        const events = drainNetworkEvents(ns);
+        if (events.length === 0) return false;
+
+        const counts = {};
+        events.forEach(event => counts[event.type] = (counts[event.type] || 0) + 1);
+        ns.print(`Network events: ${Object.entries(counts).map(([type, count]) => `${count} ${type}`).join(", ")}`);
+
+        // Hosts newly in reach only need rooting and workers copied; no need to wait for the next hack level step
+        const needsRooting = events.some(event =>
+            event.type === NETWORK_EVENT.HACKABLE ||
+            (event.type === NETWORK_EVENT.NEW_HOST && !event.hostname.startsWith("pserv-"))
+        );
+        if (needsRooting) {
+            await runHackManager();
+        }
+
+        return events.some(event =>
+            event.type === NETWORK_EVENT.ROOT_GAINED ||
+            event.type === NETWORK_EVENT.RAM_CHANGED ||
+            event.type === NETWORK_EVENT.HACKABLE
+        );
+    }
+
     async function runServerDiscovery() {
         await checkAndRunScript(CONFIG.SCRIPTS.SERVER_DISCOVERY, "Running Server Discovery");
         await ns.sleep(1000); // Give some time for the discovery to complete
@@ -175,7 +244,7 @@ export async function main(ns) {
 
     async function runTorManager() {
         if (ns.fileExists(CONFIG.SCRIPTS.TOR_MANAGER, "home")) {
-            const pid = ns.exec(CONFIG.SCRIPTS.TOR_MANAGER, "home");
+            const pid = launchManager(CONFIG.SCRIPTS.TOR_MANAGER);
             if (pid !== 0) {
                 // Wait for TOR manager to complete
                 while (ns.isRunning(pid)) {
@@ -190,17 +259,15 @@ export async function main(ns) {
         }
     }
 
-    async function runContractSolver() {
+    function runContractSolver() {
+        // Watch mode rescans on its own; just make sure it is still alive
+        if (ns.isRunning(CONFIG.SCRIPTS.CONTRACT_SOLVER, "home", "--watch")) return;
+
         if (ns.fileExists(CONFIG.SCRIPTS.CONTRACT_SOLVER, "home")) {
-            const pid = ns.exec(CONFIG.SCRIPTS.CONTRACT_SOLVER, "home");
-            if (pid !== 0) {
-                // Wait for contract solver to complete
-                while (ns.isRunning(pid)) {
-                    await ns.sleep(100);
-                }
-                ns.print("Contract Solver completed");
+            if (launchManager(CONFIG.SCRIPTS.CONTRACT_SOLVER, "--watch") !== 0) {
+                ns.print("Started Contract Solver in watch mode");
             } else {
-                ns.print("Contract Solver already running or failed to start");
+                ns.print("Failed to start Contract Solver - insufficient RAM");
             }
         } else {
             ns.print("WARNING: contract-solver.js not found - skipping contract solving");
@@ -209,7 +276,7 @@ export async function main(ns) {
 
     async function runAugmentationPlanner() {
         if (ns.fileExists(CONFIG.SCRIPTS.AUGMENTATION_PLANNER, "home")) {
-            const pid = ns.exec(CONFIG.SCRIPTS.AUGMENTATION_PLANNER, "home");
+            const pid = launchManager(CONFIG.SCRIPTS.AUGMENTATION_PLANNER);
             if (pid !== 0) {
                 // Wait for augmentation planner to complete
                 while (ns.isRunning(pid)) {
@@ -224,42 +291,56 @@ export async function main(ns) {
         }
     }
 
-    function updateBestTarget(ns) {
+    async function runStockTraderIfAvailable() {
+        if (ns.scriptRunning(CONFIG.SCRIPTS.STOCK_TRADER, "home")) return;
+
+        try {
+            // Without 4S data the trader estimates forecasts from price history
+            if (!ns.stock.hasWSEAccount() || !ns.stock.hasTIXAPIAccess()) {
+                ns.print("Stock Trader waiting for WSE account and TIX API access");
+                return;
+            }
+        } catch (error) {
+            ns.print(`Stock API not available: ${error.message}`);
+            return;
+        }
+
+        await checkAndRunScript(CONFIG.SCRIPTS.STOCK_TRADER, "Started Stock Trader");
+    }
+
+    function updateTargetPlan(ns) {
         try {
             if (!ns.fileExists(CONFIG.FILES.SERVER_LIST)) {
                 throw new Error(`${CONFIG.FILES.SERVER_LIST} not found`);
             }
 
-            const serverData = JSON.parse(ns.read(CONFIG.FILES.SERVER_LIST));
-            if (!Array.isArray(serverData)) {
+            const network = loadNetwork(ns);
+            if (network.servers.length === 0) {
                 throw new Error("Invalid server data format");
             }
 
-            let bestTarget = null;
-            let highestScore = -1;
+            // Split the RAM batch workers can use across the best targets
+            const pool = getRamPool(ns);
+            const capacity = getWorkerCapacity(ns, pool, totalAvailableRam(pool, PRIORITY.WORKER));
+            const plan = planTargets(ns, network.servers, capacity);
 
-            const playerHackingLevel = ns.getHackingLevel();
+            publish(ns, CHANNELS.TARGET_PLAN, plan);
 
-            for (const server of serverData) {
-                if (server.hasRootAccess && server.maxMoney > 0 && server.requiredHackingSkill <= playerHackingLevel) {
-                    const score = server.maxMoney / server.minSecurityLevel;
-                    if (score > highestScore) {
-                        highestScore = score;
-                        bestTarget = server;
-                    }
-                }
-            }
+            // Single-target consumers (offline bot workers) still read the best pick from the target channel
+            const bestTarget = plan.targets.length > 0 ? plan.targets[0].hostname : CONFIG.TARGETS.DEFAULT;
+            publish(ns, CHANNELS.TARGET, bestTarget);
 
-            if (bestTarget) {
-                ns.writePort(CONFIG.PORTS.WORKER, bestTarget.hostname);
-                ns.print(`Updated best target: ${bestTarget.hostname} (Score: ${highestScore.toFixed(2)})`);
+            if (plan.targets.length > 0) {
+                const summary = plan.targets
+                    .map(t => `${t.hostname} (${ns.formatRam(t.ramBudget)}${t.prepped ? "" : ", prep"})`)
+                    .join(", ");
+                ns.print(`Updated target plan: ${summary}`);
             } else {
-                ns.writePort(CONFIG.PORTS.WORKER, CONFIG.TARGETS.DEFAULT);
                 ns.print(`No suitable target found. Defaulting to ${CONFIG.TARGETS.DEFAULT}`);
             }
         } catch (error) {
-            ns.print(`Error updating best target: ${error.message}`);
-            ns.writePort(CONFIG.PORTS.WORKER, CONFIG.TARGETS.DEFAULT);
+            ns.print(`Error updating target plan: ${error.message}`);
+            publish(ns, CHANNELS.TARGET, CONFIG.TARGETS.DEFAULT);
         }
     }
 }
@@ -0,0 +1,20 @@
+/** @param {NS} ns */
+export async function main(ns) {
+    // Runs after installAugmentations: restart main.js with the arguments it was last started with
+    const LAST_MODE_FILE = "/state/main_mode.txt";
+    const MAIN_SCRIPT = "main.js";
+
+    let args = [];
+    try {
+        const content = ns.read(LAST_MODE_FILE);
+        if (content) {
+            const lastMode = JSON.parse(content);
+            if (Array.isArray(lastMode.args)) args = lastMode.args;
+        }
+    } catch (error) {
+        ns.tprint(`WARNING: Could not read ${LAST_MODE_FILE}, starting default mode: ${error.message}`);
+    }
+
+    ns.tprint(`Augmentations installed - relaunching ${MAIN_SCRIPT} ${args.join(" ")}`.trim());
+    ns.spawn(MAIN_SCRIPT, 1, ...args);
+}
@@ -1,10 +1,29 @@
+import { NETWORK_EVENT, NETWORK_FILE, connectString, emitNetworkEvents, getPath, loadNetwork, refreshHost, saveNetwork } from "../lib/network.js";
+
 /** @param {NS} ns */
 export async function main(ns) {
-    const serverInfoFile = "/servers/server_info.txt";
     const PLAYER_HACK_LEVEL = ns.getHackingLevel();
 
-    // Check if backdoor function is available
-    if (typeof ns.installBackdoor !== "function") {
+    // Faction invitation servers first, in the order they become reachable
+    const factionServers = ["CSEC", "avmnite-02h", "I.I.I.I", "run4theh111z", "The-Cave", "w0r1d_d43m0n"];
+    // Backdooring w0r1d_d43m0n ends the BitNode, so it is only automated on request
+    const BITNODE_SERVER = "w0r1d_d43m0n";
+    const allowBitNodeEnd = ns.args.includes("--destroy-bitnode");
+
+    // Check if Singularity navigation is available (Source-File 4)
+    let SINGULARITY_AVAILABLE = false;
+    try {
+        if (ns.singularity &&
+            typeof ns.singularity.installBackdoor === "function" &&
+            typeof ns.singularity.connect === "function") {
+            ns.singularity.getCurrentServer(); // Throws without Source-File 4
+            SINGULARITY_AVAILABLE = true;
+        }
+    } catch (error) {
+        SINGULARITY_AVAILABLE = false;
+    }
+
+    if (!SINGULARITY_AVAILABLE) {
         ns.tprint("Singularity functions require Source-File 4 (late game).");
         ns.tprint("Backdoors must be installed manually using 'backdoor' terminal command.");
 
@@ -14,28 +33,28 @@ export async function main(ns) {
     }
 
     function showBackdoorTargets() {
-        const factionServers = ["CSEC", "avmnite-02h", "I.I.I.I", "run4theh111z"];
         ns.tprint("=== MANUAL BACKDOOR TARGETS ===");
 
         try {
-            const fileContents = ns.read(serverInfoFile);
-            if (fileContents) {
-                const serverInfo = JSON.parse(fileContents);
-                const targets = serverInfo.filter(server =>
+            const network = loadNetwork(ns);
+            if (network.servers.length > 0) {
+                const targets = sortByPriority(network.servers.filter(server =>
                     factionServers.includes(server.hostname) &&
                     server.hasRootAccess &&
                     !server.backdoorInstalled &&
                     ns.getHackingLevel() >= server.requiredHackingSkill
-                );
+                ));
 
                 if (targets.length > 0) {
                     targets.forEach(server => {
-                        const path = findPathToServer(server.hostname);
+                        const path = findPathToServer(network, server.hostname);
                         ns.tprint(`• ${server.hostname} (Hack Level: ${server.requiredHackingSkill})`);
+                        if (server.hostname === BITNODE_SERVER) {
+                            ns.tprint("  WARNING: Backdooring this server ends the BitNode");
+                        }
                         if (path) {
-                            const connectCommands = path.slice(1).map(host => `connect ${host}`).join('; ');
                             ns.tprint(`  Path: ${path.join(' → ')}`);
-                            ns.tprint(`  Commands: ${connectCommands}; backdoor; home`);
+                            ns.tprint(`  Commands: ${connectString(path)}; backdoor; home`);
                         } else {
                             ns.tprint(`  ERROR: Could not find path to ${server.hostname}`);
                         }
@@ -49,8 +68,23 @@ export async function main(ns) {
         }
     }
 
-    function findPathToServer(targetServer) {
-        // BFS to find shortest path from home to target
+    function sortByPriority(servers) {
+        // Faction servers in list order, then everything else by required hacking level
+        const rank = hostname => {
+            const index = factionServers.indexOf(hostname);
+            return index === -1 ? factionServers.length : index;
+        };
+        return [...servers].sort((a, b) =>
+            rank(a.hostname) - rank(b.hostname) || a.requiredHackingSkill - b.requiredHackingSkill
+        );
+    }
+
+    function findPathToServer(network, targetServer) {
+        // Discovery records each host's parent, so the path is usually known without scanning
+        const knownPath = getPath(network, targetServer);
+        if (knownPath) return knownPath;
+
+        // Older discovery files have no topology: BFS to find shortest path from home to target
         const queue = [["home"]];
         const visited = new Set(["home"]);
 
@@ -79,39 +113,62 @@ export async function main(ns) {
         return null; // Path not found
     }
 
-    // Read server info
-    let serverInfo;
-    try {
-        const fileContents = ns.read(serverInfoFile);
-        if (!fileContents) {
-            throw new Error(`${serverInfoFile} is empty or doesn't exist.`);
+    async function backdoorServer(network, hostname) {
+        const path = findPathToServer(network, hostname);
+        if (!path) {
+            throw new Error("no path from home");
         }
-        serverInfo = JSON.parse(fileContents);
-    } catch (error) {
-        ns.tprint(`ERROR: Failed to read or parse server info. Error: ${error.message}`);
+
+        try {
+            // connect only reaches direct neighbours, so walk the path one hop at a time
+            ns.singularity.connect("home");
+            for (const hop of path.slice(1)) {
+                if (!ns.singularity.connect(hop)) {
+                    throw new Error(`could not connect to ${hop}`);
+                }
+            }
+            await ns.singularity.installBackdoor();
+        } finally {
+            ns.singularity.connect("home");
+        }
+    }
+
+    // Read server info
+    const network = loadNetwork(ns);
+    if (network.servers.length === 0) {
+        ns.tprint(`ERROR: Failed to read or parse server info. Error: ${NETWORK_FILE} is empty or doesn't exist.`);
         return;
     }
 
     let backdoorsInstalled = 0;
     let errors = 0;
-
-    for (const server of serverInfo) {
-        if (server.hostname === "home") continue;
+    // The model is saved below, so the next discovery can't see these changes: report them here
+    const events = [];
+    const backdoorEvent = hostname => events.push({ type: NETWORK_EVENT.BACKDOOR_INSTALLED, hostname, time: Date.now() });
+
+    for (const server of sortByPriority(network.servers)) {
+        if (server.hostname === "home" || server.hostname.startsWith("pserv-")) continue;
+        if (server.hostname === BITNODE_SERVER && !allowBitNodeEnd) continue;
+
+        // The file may be stale; trust the live server state
+        if (ns.getServer(server.hostname).backdoorInstalled) {
+            if (!server.backdoorInstalled) backdoorEvent(server.hostname); // Installed by hand
+            server.backdoorInstalled = true;
+            continue;
+        }
 
         if (
             ns.hasRootAccess(server.hostname) &&
-            !server.backdoorInstalled &&
             PLAYER_HACK_LEVEL >= server.requiredHackingSkill
         ) {
             try {
-                // Note: In the actual game, you might need to navigate to the server first
-                // This is a simplified version
-                await ns.installBackdoor(server.hostname);
+                await backdoorServer(network, server.hostname);
                 backdoorsInstalled++;
                 ns.tprint(`Installed backdoor on ${server.hostname}`);
 
                 // Update server info
-                server.backdoorInstalled = true;
+                refreshHost(ns, network, server.hostname);
+                backdoorEvent(server.hostname);
             } catch (error) {
                 ns.print(`WARNING: Failed to install backdoor on ${server.hostname}. Error: ${error.message}`);
                 errors++;
@@ -121,7 +178,8 @@ export async function main(ns) {
 
     // Write updated server info back to file
     try {
-        await ns.write(serverInfoFile, JSON.stringify(serverInfo), "w");
+        saveNetwork(ns, network);
+        emitNetworkEvents(ns, events);
     } catch (error) {
         ns.tprint(`ERROR: Failed to update server info file. Error: ${error.message}`);
     }
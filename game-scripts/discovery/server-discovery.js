@@ -1,57 +1,60 @@
+import { NETWORK_FILE, createNetwork, diffNetworks, emitNetworkEvents, loadNetwork, readServerInfo, saveNetwork } from "../lib/network.js";
+
 /** @param {NS} ns */
 export async function main(ns) {
     // Function to get detailed server info
-    function getServerInfo(host) {
+    function getServerInfo(host, parent, depth) {
         try {
-            return {
-                hostname: host,
-                hasRootAccess: ns.hasRootAccess(host),
-                canRunScripts: ns.getServerMaxRam(host) > 0,
-                maxRam: ns.getServerMaxRam(host),
-                backdoorInstalled: ns.getServer(host).backdoorInstalled,
-                requiredHackingSkill: ns.getServerRequiredHackingLevel(host),
-                numPortsRequired: ns.getServerNumPortsRequired(host),
-                moneyAvailable: ns.getServerMoneyAvailable(host),
-                maxMoney: ns.getServerMaxMoney(host),
-                minSecurityLevel: ns.getServerMinSecurityLevel(host),
-                currentSecurityLevel: ns.getServerSecurityLevel(host),
-            };
+            return { ...readServerInfo(ns, host), parent, children: [], depth };
         } catch (error) {
             ns.print(`ERROR: Failed to get info for server ${host}: ${error.message}`);
             return {
                 hostname: host,
+                parent,
+                children: [],
+                depth,
                 error: error.message,
             };
         }
     }
 
-    // Function to recursively scan the network
-    function scanNetwork(host, scanned = new Set()) {
+    // Function to recursively scan the network, recording which host each server was found from
+    function scanNetwork(host, parent = null, depth = 0, scanned = new Set()) {
         if (scanned.has(host)) return [];
 
         scanned.add(host);
 
+        const info = getServerInfo(host, parent, depth);
+
         let connections;
         try {
             connections = ns.scan(host);
         } catch (error) {
             ns.print(`ERROR: Failed to scan from host ${host}: ${error.message}`);
-            return [getServerInfo(host)];
+            return [info];
         }
 
-        let servers = [getServerInfo(host)];
+        let servers = [info];
         for (const connection of connections) {
-            servers = servers.concat(scanNetwork(connection, scanned));
+            const found = scanNetwork(connection, host, depth + 1, scanned);
+            if (found.length > 0) info.children.push(connection);
+            servers = servers.concat(found);
         }
         return servers;
     }
 
-    // Scan the network and write server info to a file
+    // Scan the network, write the model to the discovery file and report what changed since the last scan
     try {
+        const previous = loadNetwork(ns);
         const servers = scanNetwork("home");
-        const outputPath = "/servers/server_info.txt";
-        await ns.write(outputPath, JSON.stringify(servers, null, 2), "w");
-        ns.toast(`SUCCESS: Discovered and stored information for ${servers.length} servers in ${outputPath}`);
+        const network = createNetwork(servers, ns.getHackingLevel());
+        saveNetwork(ns, network);
+
+        const events = diffNetworks(previous, network);
+        emitNetworkEvents(ns, events);
+        events.forEach(event => ns.print(`${event.type}: ${event.hostname}${event.details ? ` ${JSON.stringify(event.details)}` : ""}`));
+
+        ns.toast(`SUCCESS: Discovered and stored information for ${servers.length} servers in ${NETWORK_FILE}`);
     } catch (error) {
         ns.tprint(`CRITICAL ERROR: Script failed: ${error.message}`);
     }
@@ -0,0 +1,21 @@
+/**
+ * Shape of an HWGW batch, shared by the batcher that runs batches and the target planner that
+ * prices them, so the plan describes the batches that actually get launched.
+ *
+ * Usage:
+ *   import { BATCH, WORKER_SCRIPTS } from "../lib/batch-config.js";
+ *   const hackThreads = Math.floor(BATCH.HACK_FRACTION / ns.hackAnalyze(target));
+ */
+
+/** Worker scripts a batch is made of */
+export const WORKER_SCRIPTS = {
+    HACK: "workers/hack.js",
+    GROW: "workers/grow.js",
+    WEAKEN: "workers/weaken.js",
+};
+
+export const BATCH = {
+    HACK_FRACTION: 0.1, // Steal 10% of max money per batch
+    SPACING: 200, // ms between landings of H, W1, G, W2
+    MAX_BATCHES: 100, // Upper bound on batches scheduled per cycle
+};
@@ -0,0 +1,158 @@
+/**
+ * Port message bus: named channels instead of raw port numbers.
+ *
+ * Usage:
+ *   publish(ns, CHANNELS.STATUS, { hackLevel: 42 });
+ *   const status = readData(ns, CHANNELS.STATUS); // Latest value, or null
+ *
+ *   const events = subscribe(ns, CHANNELS.NETWORK_EVENTS);
+ *   for (const message of events.poll()) { ... } // Each message exactly once
+ *
+ * Every message is a JSON envelope { v, channel, sender, type, time, data }. STATE channels hold
+ * only the latest value: publishing replaces it without ever leaving the port empty, and readers
+ * peek. QUEUE channels keep every message until a reader takes it (the oldest drop off once the
+ * port is full), so each queue should have one consumer.
+ */
+
+export const BUS_VERSION = 1;
+export const NULL_PORT_DATA = "NULL PORT DATA";
+
+/** Channel delivery semantics */
+export const MODE = {
+    STATE: "state", // Latest value wins; readers peek
+    QUEUE: "queue", // Every message is delivered once; readers take
+};
+
+/** Every channel in one place: the only map of port numbers in the codebase */
+export const CHANNELS = {
+    TARGET: { name: "target", port: 1, mode: MODE.STATE, description: "Best single hack target (hostname)" },
+    STATUS: { name: "status", port: 2, mode: MODE.STATE, description: "Overlord status and discovery timer" },
+    AUGMENTATION: { name: "augmentation", port: 3, mode: MODE.STATE, description: "Augmentation plan summary" },
+    STAT_GRINDER: { name: "stat-grinder", port: 4, mode: MODE.STATE, description: "Stat training progress or guidance" },
+    GO: { name: "go", port: 5, mode: MODE.STATE, description: "Go session status" },
+    TARGET_PLAN: { name: "target-plan", port: 6, mode: MODE.STATE, description: "Multi-target RAM split for the batcher" },
+    PREP_STATUS: { name: "prep-status", port: 7, mode: MODE.STATE, description: "Per-target prep/batch state" },
+    STOCKS: { name: "stocks", port: 8, mode: MODE.STATE, description: "Stock portfolio summary" },
+    NETWORK_EVENTS: { name: "network-events", port: 9, mode: MODE.QUEUE, description: "Discovery change feed" },
+    HACKNET: { name: "hacknet", port: 10, mode: MODE.STATE, description: "Hacknet farm summary" },
+    SERVERS: { name: "servers", port: 11, mode: MODE.STATE, description: "Purchased server fleet summary" },
+    CONTRACTS: { name: "contracts", port: 12, mode: MODE.STATE, description: "Coding contract scan summary" },
+    METRICS: { name: "metrics", port: 13, mode: MODE.STATE, description: "Latest metrics sample (history is in lib/metrics.js)" },
+    HOME: { name: "home", port: 14, mode: MODE.STATE, description: "Home RAM/cores upgrade plan" },
+};
+
+/**
+ * Find a channel by name (e.g. from script arguments).
+ * @param {string} name
+ */
+export function getChannel(name) {
+    return Object.values(CHANNELS).find(channel => channel.name === name);
+}
+
+/**
+ * Send a message. State channels replace their current value, queue channels append.
+ * @param {NS} ns
+ * @param {{name: string, port: number, mode: string}} channel - One of CHANNELS
+ * @param {*} data - Anything JSON can encode
+ * @param {string=} type - Message type; defaults to the channel name
+ */
+export function publish(ns, channel, data, type = channel.name) {
+    const message = JSON.stringify({
+        v: BUS_VERSION,
+        channel: channel.name,
+        sender: ns.getScriptName(),
+        type,
+        time: Date.now(),
+        data,
+    });
+    const port = ns.getPortHandle(channel.port);
+    port.write(message);
+
+    if (channel.mode === MODE.STATE) {
+        // Drop older values only after the new one is in, so readers never see an empty port
+        while (port.peek() !== message && !port.empty()) {
+            port.read();
+        }
+    }
+}
+
+/**
+ * Latest envelope on a state channel (or the oldest waiting one on a queue) without consuming it.
+ * @param {NS} ns
+ * @param {{port: number}} channel
+ * @returns {{v: number, channel: string, sender: string, type: string, time: number, data: *}|null}
+ */
+export function read(ns, channel) {
+    return parse(ns.peek(channel.port));
+}
+
+/**
+ * Payload of the latest message, or fallback if there is none.
+ * @param {NS} ns
+ * @param {{port: number}} channel
+ * @param {*=} fallback
+ */
+export function readData(ns, channel, fallback = null) {
+    const envelope = read(ns, channel);
+    return envelope ? envelope.data : fallback;
+}
+
+/**
+ * Consume every waiting message on a channel, oldest first.
+ * @param {NS} ns
+ * @param {{port: number}} channel
+ */
+export function take(ns, channel) {
+    const port = ns.getPortHandle(channel.port);
+    const messages = [];
+    while (!port.empty()) {
+        const envelope = parse(port.read());
+        if (envelope) messages.push(envelope);
+    }
+    return messages;
+}
+
+/**
+ * Follow a channel. poll() returns the messages that arrived since the last call: the new value
+ * of a state channel (if it changed), or everything waiting on a queue. next() waits for a write.
+ * @param {NS} ns
+ * @param {{port: number, mode: string}} channel
+ */
+export function subscribe(ns, channel) {
+    let lastSeen = 0;
+    return {
+        poll() {
+            if (channel.mode === MODE.QUEUE) return take(ns, channel);
+
+            const envelope = read(ns, channel);
+            if (!envelope || envelope.time <= lastSeen) return [];
+            lastSeen = envelope.time;
+            return [envelope];
+        },
+        async next(timeout = 1000) {
+            const messages = this.poll();
+            if (messages.length > 0) return messages;
+            // nextPortWrite is newer than the rest of the port API
+            if (typeof ns.nextPortWrite === "function") {
+                await Promise.race([ns.nextPortWrite(channel.port), ns.asleep(timeout)]);
+            } else {
+                await ns.asleep(timeout);
+            }
+            return this.poll();
+        },
+    };
+}
+
+/** Parse a raw port value into an envelope; raw values from before the bus are wrapped as-is */
+function parse(raw) {
+    if (raw === NULL_PORT_DATA || raw === undefined) return null;
+    try {
+        const envelope = JSON.parse(raw);
+        if (envelope && typeof envelope === "object" && envelope.v !== undefined && "data" in envelope) {
+            return envelope;
+        }
+        return { v: 0, channel: null, sender: null, type: "raw", time: 0, data: envelope };
+    } catch (error) {
+        return { v: 0, channel: null, sender: null, type: "raw", time: 0, data: raw };
+    }
+}
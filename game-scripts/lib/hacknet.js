@@ -0,0 +1,239 @@
+/**
+ * Hacknet production model: what each node purchase or upgrade adds per dollar spent. Works for
+ * plain Hacknet Nodes and for Hacknet Servers (BitNode 9 / SF9), whose hashes are valued at what
+ * "Sell for Money" pays for them.
+ *
+ * Usage:
+ *   const model = createProductionModel(ns);
+ *   const candidates = listCandidates(ns, model, 5); // Level upgrades in steps of up to 5
+ *   const best = pickBest(candidates, 4 * 3600);     // Best gain per dollar that pays back within 4h
+ *
+ * With Formulas.exe the game's own gain rate is used. Without it, the base formula is scaled by
+ * the ratio of observed to predicted production on the existing nodes, which picks up the player
+ * and BitNode multipliers we can't read directly.
+ */
+
+/** Upgrade caps for hacknet nodes */
+export const NODE_LIMITS = { level: 200, ram: 64, cores: 16 };
+/** Upgrade caps for hacknet servers */
+export const SERVER_LIMITS = { level: 300, ram: 8192, cores: 128, cache: 15 };
+
+/** Hash upgrade names as the game spells them */
+export const HASH_UPGRADE = {
+    SELL: "Sell for Money",
+    MIN_SECURITY: "Reduce Minimum Security",
+    MAX_MONEY: "Increase Maximum Money",
+    STUDYING: "Improve Studying",
+    GYM: "Improve Gym Training",
+    CORP_RESEARCH: "Exchange for Corporation Research",
+    BLADEBURNER_RANK: "Exchange for Bladeburner Rank",
+};
+
+/** "Sell for Money" pays $1m for 4 hashes */
+export const MONEY_PER_HASH = 1e6 / 4;
+
+/** Kinds of spending the farm can do */
+export const ACTION = {
+    NODE: "node",
+    LEVEL: "level",
+    RAM: "ram",
+    CORES: "cores",
+    CACHE: "cache", // Hacknet servers only
+};
+
+// Constants of the game's hacknet node money and hacknet server hash formulas
+const MONEY_PER_LEVEL = 1.5;
+const RAM_BASE = 1.035;
+const HASHES_PER_LEVEL = 0.001;
+const SERVER_RAM_BASE = 1.07;
+
+/**
+ * Whether hacknet purchases are Hacknet Servers (they have a hash capacity) rather than nodes.
+ * @param {NS} ns
+ */
+export function isServerMode(ns) {
+    return ns.hacknet.hashCapacity() > 0;
+}
+
+/**
+ * Upgrade caps for the current mode.
+ * @param {NS} ns
+ */
+export function getLimits(ns) {
+    return isServerMode(ns) ? SERVER_LIMITS : NODE_LIMITS;
+}
+
+/**
+ * Production of a node before any multipliers ($/s).
+ * @param {number} level
+ * @param {number} ram
+ * @param {number} cores
+ */
+export function baseNodeProduction(level, ram, cores) {
+    return level * MONEY_PER_LEVEL * Math.pow(RAM_BASE, ram - 1) * (cores + 5) / 6;
+}
+
+/**
+ * Hash production of a server before any multipliers (hashes/s). Scripts using its RAM slow it down.
+ * @param {number} level
+ * @param {number} ramUsed
+ * @param {number} maxRam
+ * @param {number} cores
+ */
+export function baseServerHashes(level, ramUsed, maxRam, cores) {
+    return level * HASHES_PER_LEVEL * Math.pow(SERVER_RAM_BASE, Math.log2(maxRam)) *
+        (1 + (cores - 1) / 5) * (1 - ramUsed / maxRam);
+}
+
+/**
+ * Production estimator for node stats, in $/s (hashes count at MONEY_PER_HASH). `hashes` is the
+ * raw hash rate for a given RAM use, and null for plain nodes.
+ * @param {NS} ns
+ * @returns {{source: string, serverMode: boolean, production: (level: number, ram: number, cores: number) => number, hashes: ((level: number, ramUsed: number, maxRam: number, cores: number) => number)|null}}
+ */
+export function createProductionModel(ns) {
+    const mult = ns.getPlayer().mults.hacknet_node_money;
+    const serverMode = isServerMode(ns);
+    const formulas = ns.fileExists("Formulas.exe", "home");
+
+    let source = "formulas";
+    let factor = mult;
+    if (!formulas) {
+        let observed = 0;
+        let predicted = 0;
+        for (let node = 0; node < ns.hacknet.numNodes(); node++) {
+            const stats = ns.hacknet.getNodeStats(node);
+            observed += stats.production;
+            predicted += serverMode ?
+                baseServerHashes(stats.level, stats.ramUsed, stats.ram, stats.cores) :
+                baseNodeProduction(stats.level, stats.ram, stats.cores);
+        }
+        // No nodes yet: the player multiplier is the best guess (it misses the BitNode multiplier)
+        const calibrated = observed > 0 && predicted > 0;
+        if (calibrated) factor = observed / predicted;
+        source = calibrated ? "calibrated" : "estimate";
+    }
+
+    if (!serverMode) {
+        return {
+            source,
+            serverMode,
+            production: formulas ?
+                (level, ram, cores) => ns.formulas.hacknetNodes.moneyGainRate(level, ram, cores, mult) :
+                (level, ram, cores) => baseNodeProduction(level, ram, cores) * factor,
+            hashes: null,
+        };
+    }
+
+    const hashes = formulas ?
+        (level, ramUsed, maxRam, cores) => ns.formulas.hacknetServers.hashGainRate(level, ramUsed, maxRam, cores, mult) :
+        (level, ramUsed, maxRam, cores) => baseServerHashes(level, ramUsed, maxRam, cores) * factor;
+    return {
+        source,
+        serverMode,
+        // Upgrades are scored on idle servers; lost production from scripts is the RAM pool's concern
+        production: (level, ram, cores) => hashes(level, 0, ram, cores) * MONEY_PER_HASH,
+        hashes,
+    };
+}
+
+/**
+ * Every purchase and upgrade available right now, scored by added production per dollar.
+ * @param {NS} ns
+ * @param {{production: Function}} model - From createProductionModel
+ * @param {number} levelStep - Levels bought per level upgrade
+ * @returns {{type: string, node: number, amount: number, cost: number, gain: number, score: number, payback: number}[]}
+ */
+export function listCandidates(ns, model, levelStep) {
+    const candidates = [];
+    const add = (type, node, amount, cost, gain) => {
+        if (!Number.isFinite(cost) || cost <= 0 || gain <= 0) return;
+        candidates.push({ type, node, amount, cost, gain, score: gain / cost, payback: cost / gain });
+    };
+
+    const limits = getLimits(ns);
+    const count = ns.hacknet.numNodes();
+    for (let node = 0; node < count; node++) {
+        const { level, ram, cores } = ns.hacknet.getNodeStats(node);
+        const current = model.production(level, ram, cores);
+
+        const levels = Math.min(levelStep, limits.level - level);
+        if (levels > 0) {
+            add(ACTION.LEVEL, node, levels, ns.hacknet.getLevelUpgradeCost(node, levels),
+                model.production(level + levels, ram, cores) - current);
+        }
+        if (ram < limits.ram) {
+            add(ACTION.RAM, node, 1, ns.hacknet.getRamUpgradeCost(node, 1),
+                model.production(level, ram * 2, cores) - current);
+        }
+        if (cores < limits.cores) {
+            add(ACTION.CORES, node, 1, ns.hacknet.getCoreUpgradeCost(node, 1),
+                model.production(level, ram, cores + 1) - current);
+        }
+    }
+
+    if (count < ns.hacknet.maxNumNodes()) {
+        add(ACTION.NODE, count, 1, ns.hacknet.getPurchaseNodeCost(), model.production(1, 1, 1));
+    }
+    return candidates;
+}
+
+/**
+ * Highest gain per dollar among candidates that pay for themselves within the horizon.
+ * @param {{score: number, payback: number}[]} candidates
+ * @param {number} maxPayback - Seconds
+ */
+export function pickBest(candidates, maxPayback) {
+    return candidates
+        .filter(candidate => candidate.payback <= maxPayback)
+        .sort((a, b) => b.score - a.score)[0] || null;
+}
+
+/**
+ * Carry out a candidate from listCandidates.
+ * @param {NS} ns
+ * @param {{type: string, node: number, amount: number}} candidate
+ * @returns {boolean} Whether the game accepted it
+ */
+export function performAction(ns, candidate) {
+    switch (candidate.type) {
+        case ACTION.NODE: return ns.hacknet.purchaseNode() !== -1;
+        case ACTION.LEVEL: return ns.hacknet.upgradeLevel(candidate.node, candidate.amount);
+        case ACTION.RAM: return ns.hacknet.upgradeRam(candidate.node, candidate.amount);
+        case ACTION.CORES: return ns.hacknet.upgradeCore(candidate.node, candidate.amount);
+        case ACTION.CACHE: return ns.hacknet.upgradeCache(candidate.node, candidate.amount);
+        default: return false;
+    }
+}
+
+/**
+ * Cheapest single cache upgrade across the servers, or null when every cache is maxed.
+ * @param {NS} ns
+ * @returns {{node: number, cost: number}|null}
+ */
+export function getCheapestCacheUpgrade(ns) {
+    let best = null;
+    for (let node = 0; node < ns.hacknet.numNodes(); node++) {
+        if (ns.hacknet.getNodeStats(node).cache >= SERVER_LIMITS.cache) continue;
+        const cost = ns.hacknet.getCacheUpgradeCost(node, 1);
+        if (Number.isFinite(cost) && (!best || cost < best.cost)) best = { node, cost };
+    }
+    return best;
+}
+
+/**
+ * Money the farm has earned and cost since the last augmentation install, and how long the
+ * current production takes to cover any remaining deficit. Hashes only count once sold for money.
+ * @param {NS} ns
+ * @param {number} production - Current farm production ($/s)
+ * @returns {{spent: number, earned: number, net: number, seconds: number}} seconds is 0 once paid off, Infinity with no production
+ */
+export function getBreakeven(ns, production) {
+    const sources = ns.getMoneySources().sinceInstall;
+    const spent = -(sources.hacknet_expenses || 0); // Expenses are recorded as negative income
+    const earned = sources.hacknet || 0;
+    const net = earned - spent;
+    let seconds = 0;
+    if (net < 0) seconds = production > 0 ? -net / production : Infinity;
+    return { spent, earned, net, seconds };
+}
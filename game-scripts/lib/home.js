@@ -0,0 +1,100 @@
+/**
+ * Home server upgrades: what the next RAM and core upgrade cost and how much RAM each is worth.
+ *
+ * Usage:
+ *   const upgrades = getHomeUpgrades(ns); // Next RAM and cores upgrade, if any
+ *   if (hasSingularity(ns)) ns.run(HOME_UPGRADE_SCRIPT, 1, "--prices"); // Real prices, no purchase
+ *
+ * Nothing here calls Singularity: without Source-File 4 the game charges 16x RAM for it, which
+ * would price the scripts that need the manual path out of an early home. HOME_UPGRADE_SCRIPT
+ * writes the real prices to HOME_PRICES_FILE; until it has (or without Singularity) costs come
+ * from the game's formulas with the BitNode cost multiplier assumed to be 1 and are marked as
+ * estimates.
+ */
+
+/** Kinds of home upgrade */
+export const HOME_UPGRADE = {
+    RAM: "ram",
+    CORES: "cores",
+};
+
+/** Buys one upgrade through Singularity; only run it when hasSingularity() */
+export const HOME_UPGRADE_SCRIPT = "managers/home-upgrade.js";
+
+/** Real upgrade prices, written by HOME_UPGRADE_SCRIPT for the home it saw */
+export const HOME_PRICES_FILE = "/state/home_prices.json";
+
+/** Where to buy home upgrades by hand */
+export const UPGRADE_SHOP = "Alpha Enterprises (Sector-12, City → Alpha Enterprises)";
+
+const MAX_HOME_RAM = 2 ** 30;
+const MAX_HOME_CORES = 8;
+// Constants of the game's home upgrade cost formulas
+const RAM_COST_PER_GB = 32000;
+const RAM_COST_BASE = 1.58;
+const CORE_COST = 1e9;
+const CORE_COST_BASE = 7.5;
+
+/**
+ * Whether the Singularity API is usable: in BitNode 4 or with Source-File 4.
+ * @param {NS} ns
+ */
+export function hasSingularity(ns) {
+    const resetInfo = ns.getResetInfo();
+    return resetInfo.currentNode === 4 || (resetInfo.ownedSF.get(4) ?? 0) > 0;
+}
+
+/**
+ * Prices from HOME_PRICES_FILE if they were read for home as it is now, else null.
+ * @param {NS} ns
+ * @param {{maxRam: number, cpuCores: number}} home
+ * @returns {{ram: number, cores: number}|null}
+ */
+function readPrices(ns, home) {
+    try {
+        const record = JSON.parse(ns.read(HOME_PRICES_FILE));
+        const current = record.node === ns.getResetInfo().currentNode &&
+            record.ram === home.maxRam && record.cores === home.cpuCores;
+        // JSON turns the Infinity of a maxed upgrade into null
+        return current ? { ram: record.prices.ram ?? Infinity, cores: record.prices.cores ?? Infinity } : null;
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * The next RAM and core upgrade for home. `equivalentRam` is the worker RAM an upgrade is worth:
+ * the GB added for RAM, and for a core the extra grow/weaken power it gives every GB on home
+ * (each core adds 1/16 of a thread's base effect).
+ * @param {NS} ns
+ * @returns {{type: string, cost: number, estimated: boolean, from: number, to: number, equivalentRam: number}[]}
+ */
+export function getHomeUpgrades(ns) {
+    const home = ns.getServer("home");
+    const { maxRam: ram, cpuCores: cores } = home;
+    const prices = readPrices(ns, home);
+    const upgrades = [];
+
+    if (ram < MAX_HOME_RAM) {
+        upgrades.push({
+            type: HOME_UPGRADE.RAM,
+            cost: prices ? prices.ram : ram * RAM_COST_PER_GB * Math.pow(RAM_COST_BASE, Math.log2(ram)),
+            estimated: !prices,
+            from: ram,
+            to: ram * 2,
+            equivalentRam: ram,
+        });
+    }
+    if (cores < MAX_HOME_CORES) {
+        upgrades.push({
+            type: HOME_UPGRADE.CORES,
+            cost: prices ? prices.cores : CORE_COST * Math.pow(CORE_COST_BASE, cores),
+            estimated: !prices,
+            from: cores,
+            to: cores + 1,
+            // Going from (15 + cores)/16 to (16 + cores)/16 of base power
+            equivalentRam: ram / (15 + cores),
+        });
+    }
+    return upgrades.filter(upgrade => Number.isFinite(upgrade.cost));
+}
@@ -0,0 +1,132 @@
+/**
+ * Metrics history kept by monitoring/metrics-recorder.js as a fixed-size ring buffer file.
+ *
+ * Usage:
+ *   const ring = loadRing(ns);
+ *   pushSample(ring, sample);
+ *   saveRing(ns, ring);
+ *   const points = toRates(orderedSamples(ring)); // Per-second rates between consecutive samples
+ *
+ * Samples store cumulative counters (money earned per source since install, hacking XP, expected
+ * money stolen per batch target), so rates come from the difference between two samples and a
+ * missed sample only widens one interval.
+ */
+
+export const METRICS_FILE = "/metrics/history.txt";
+export const SAMPLE_INTERVAL = 60 * 1000; // One sample a minute...
+export const CAPACITY = 24 * 60; // ...keeps the last 24 hours
+
+/**
+ * @typedef {object} MetricsSample
+ * @property {number} time - ms
+ * @property {number} money - Cash on home
+ * @property {number} hackLevel
+ * @property {number} hackExp - Cumulative hacking XP
+ * @property {Object<string, number>} sources - Money earned per source since the last install (getMoneySources)
+ * @property {Object<string, number>} targets - Expected money stolen per batch target so far (from the batcher)
+ * @property {Object<string, number>} goBonus - Go bonus percent per opponent faction
+ * @property {number} lastAugReset - When augmentations were last installed (ms)
+ */
+
+/**
+ * Load the ring, or an empty one.
+ * @param {NS} ns
+ * @returns {{capacity: number, next: number, samples: MetricsSample[]}}
+ */
+export function loadRing(ns) {
+    const empty = { capacity: CAPACITY, next: 0, samples: [] };
+    try {
+        const content = ns.read(METRICS_FILE);
+        if (!content) return empty;
+        const ring = JSON.parse(content);
+        return Array.isArray(ring.samples) ? ring : empty;
+    } catch (error) {
+        ns.print(`Metrics: could not read ${METRICS_FILE}: ${error.message}`);
+        return empty;
+    }
+}
+
+/**
+ * @param {NS} ns
+ * @param {{capacity: number, next: number, samples: MetricsSample[]}} ring
+ */
+export function saveRing(ns, ring) {
+    ns.write(METRICS_FILE, JSON.stringify(ring), "w");
+}
+
+/**
+ * Add a sample, overwriting the oldest once the ring is full.
+ * @param {{capacity: number, next: number, samples: MetricsSample[]}} ring
+ * @param {MetricsSample} sample
+ */
+export function pushSample(ring, sample) {
+    if (ring.samples.length < ring.capacity) {
+        ring.samples.push(sample);
+    } else {
+        ring.samples[ring.next] = sample;
+    }
+    ring.next = (ring.next + 1) % ring.capacity;
+}
+
+/**
+ * Samples oldest first.
+ * @param {{capacity: number, next: number, samples: MetricsSample[]}} ring
+ * @returns {MetricsSample[]}
+ */
+export function orderedSamples(ring) {
+    if (ring.samples.length < ring.capacity) return ring.samples;
+    return [...ring.samples.slice(ring.next), ...ring.samples.slice(0, ring.next)];
+}
+
+/**
+ * Per-second rates between consecutive samples. Intervals across an augmentation install (where the
+ * since-install counters restart) are skipped.
+ * @param {MetricsSample[]} samples - Oldest first
+ * @returns {{time: number, money: number, hackLevel: number, income: number, sources: Object<string, number>, targets: Object<string, number>, xpRate: number}[]}
+ */
+export function toRates(samples) {
+    const points = [];
+    for (let i = 1; i < samples.length; i++) {
+        const before = samples[i - 1];
+        const after = samples[i];
+        const seconds = (after.time - before.time) / 1000;
+        if (seconds <= 0 || after.lastAugReset !== before.lastAugReset) continue;
+
+        const sources = {};
+        for (const [source, total] of Object.entries(after.sources)) {
+            const rate = (total - (before.sources[source] || 0)) / seconds;
+            if (rate !== 0) sources[source] = rate;
+        }
+
+        points.push({
+            time: after.time,
+            money: after.money,
+            hackLevel: after.hackLevel,
+            income: Object.values(sources).reduce((sum, rate) => sum + Math.max(0, rate), 0),
+            sources,
+            targets: splitHackingIncome(before, after, sources.hacking || 0),
+            xpRate: Math.max(0, (after.hackExp - before.hackExp) / seconds),
+        });
+    }
+    return points;
+}
+
+/** Real hacking income split across targets in proportion to what the batcher expected to steal from each */
+function splitHackingIncome(before, after, hackingRate) {
+    const expected = {};
+    let total = 0;
+    for (const [hostname, stolen] of Object.entries(after.targets || {})) {
+        // The batcher restarts its counters when it restarts
+        const delta = stolen - ((before.targets || {})[hostname] || 0);
+        if (delta > 0) {
+            expected[hostname] = delta;
+            total += delta;
+        }
+    }
+
+    const rates = {};
+    for (const [hostname, delta] of Object.entries(expected)) {
+        rates[hostname] = hackingRate * delta / total;
+    }
+    return rates;
+}
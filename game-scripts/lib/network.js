@@ -0,0 +1,304 @@
+/**
+ * Shared model of the network, as written by discovery/server-discovery.js.
+ *
+ * Usage:
+ *   const network = loadNetwork(ns);
+ *   for (const server of getRunnable(network)) { ... }
+ *   refreshHost(ns, network, "CSEC"); // Re-read one host's live state
+ *   saveNetwork(ns, network);
+ *
+ * The file holds { version, updatedAt, servers }, where every server records the host it was
+ * discovered from (parent), the hosts discovered through it (children) and its hop count from home
+ * (depth). Following parent links gives the connect path to any host without scanning. Files from
+ * before the versioned format (a bare array) still load, as version 1 with no topology and always stale.
+ *
+ * Discovery diffs each scan against the previous file and emits NETWORK_EVENT entries on the
+ * network-events bus channel (a queue) and to the append-only NETWORK_EVENTS_FILE.
+ */
+
+import { CHANNELS, publish, take } from "./bus.js";
+
+export const NETWORK_FILE = "/servers/server_info.txt";
+export const NETWORK_EVENTS_FILE = "/servers/events.txt"; // One JSON event per line
+export const SCHEMA_VERSION = 2;
+
+/** Changes discovery reports between scans */
+export const NETWORK_EVENT = {
+    NEW_HOST: "new-host", // Host seen for the first time (e.g. a purchased server)
+    ROOT_GAINED: "root-gained",
+    BACKDOOR_INSTALLED: "backdoor-installed",
+    RAM_CHANGED: "ram-changed", // details: { from, to }
+    HACKABLE: "hackable", // Hacking level reached the host's requirement; details: { requiredHackingSkill }
+};
+
+const DEFAULT_MAX_AGE = 10 * 60 * 1000; // Discovery runs every few minutes; older than this is stale
+
+/**
+ * @typedef {object} ServerInfo
+ * @property {string} hostname
+ * @property {string|null} parent - Host this one was discovered from (null for home)
+ * @property {string[]} children - Hosts discovered through this one
+ * @property {number|null} depth - Hops from home (0 for home, null if unknown)
+ * @property {boolean} hasRootAccess
+ * @property {boolean} canRunScripts
+ * @property {number} maxRam
+ * @property {boolean} backdoorInstalled
+ * @property {number} requiredHackingSkill
+ * @property {number} numPortsRequired
+ * @property {number} moneyAvailable
+ * @property {number} maxMoney
+ * @property {number} minSecurityLevel
+ * @property {number} currentSecurityLevel
+ * @property {number} updatedAt - When this host was last read (ms)
+ */
+
+/**
+ * @typedef {object} NetworkModel
+ * @property {number} version - SCHEMA_VERSION of the file it was loaded from
+ * @property {number} updatedAt - When discovery last wrote the file (ms, 0 if unknown)
+ * @property {number=} hackLevel - Player hacking level at the time of the scan
+ * @property {ServerInfo[]} servers
+ */
+
+/**
+ * @typedef {object} NetworkEvent
+ * @property {string} type - One of NETWORK_EVENT
+ * @property {string} hostname
+ * @property {number} time - ms
+ * @property {object=} details
+ */
+
+/**
+ * Read one host's live state.
+ * @param {NS} ns
+ * @param {string} hostname
+ * @returns {Omit<ServerInfo, "parent"|"children"|"depth">}
+ */
+export function readServerInfo(ns, hostname) {
+    const server = ns.getServer(hostname);
+    return {
+        hostname,
+        hasRootAccess: server.hasAdminRights,
+        canRunScripts: server.maxRam > 0,
+        maxRam: server.maxRam,
+        backdoorInstalled: Boolean(server.backdoorInstalled),
+        requiredHackingSkill: server.requiredHackingSkill ?? 0,
+        numPortsRequired: server.numOpenPortsRequired ?? 0,
+        moneyAvailable: server.moneyAvailable ?? 0,
+        maxMoney: server.moneyMax ?? 0,
+        minSecurityLevel: server.minDifficulty ?? 0,
+        currentSecurityLevel: server.hackDifficulty ?? 0,
+        updatedAt: Date.now(),
+    };
+}
+
+/**
+ * Build a model from freshly scanned servers.
+ * @param {ServerInfo[]} servers
+ * @param {number=} hackLevel - Player hacking level at scan time, used to detect newly hackable hosts
+ * @returns {NetworkModel}
+ */
+export function createNetwork(servers, hackLevel) {
+    return { version: SCHEMA_VERSION, updatedAt: Date.now(), hackLevel, servers };
+}
+
+/**
+ * Load the discovery file. Returns an empty, stale model when there is none yet.
+ * @param {NS} ns
+ * @returns {NetworkModel}
+ */
+export function loadNetwork(ns) {
+    const empty = { version: SCHEMA_VERSION, updatedAt: 0, servers: [] };
+    try {
+        const content = ns.read(NETWORK_FILE);
+        if (!content) return empty;
+
+        const data = JSON.parse(content);
+        if (Array.isArray(data)) {
+            // Version 1: bare array without topology or timestamp
+            return {
+                version: 1,
+                updatedAt: 0,
+                servers: data.map(server => ({ parent: null, children: [], depth: null, ...server })),
+            };
+        }
+        if (!data || !Array.isArray(data.servers)) {
+            throw new Error("unrecognised format");
+        }
+        return data;
+    } catch (error) {
+        ns.print(`Network model: could not read ${NETWORK_FILE}: ${error.message}`);
+        return empty;
+    }
+}
+
+/**
+ * Write the model back to the discovery file.
+ * @param {NS} ns
+ * @param {NetworkModel} network
+ */
+export function saveNetwork(ns, network) {
+    ns.write(NETWORK_FILE, JSON.stringify({ ...network, version: SCHEMA_VERSION }, null, 2), "w");
+}
+
+/**
+ * Look up one host in the model.
+ * @param {NetworkModel} network
+ * @param {string} hostname
+ * @returns {ServerInfo|undefined}
+ */
+export function getServer(network, hostname) {
+    return network.servers.find(server => server.hostname === hostname);
+}
+
+/**
+ * Re-read one host's live state into the model, keeping its topology. Hosts missing from the
+ * model (e.g. a server bought since the last discovery) are added under home.
+ * @param {NS} ns
+ * @param {NetworkModel} network
+ * @param {string} hostname
+ * @returns {ServerInfo|null} The updated entry, or null if the host no longer exists
+ */
+export function refreshHost(ns, network, hostname) {
+    if (!ns.serverExists(hostname)) return null;
+
+    const live = readServerInfo(ns, hostname);
+    const existing = getServer(network, hostname);
+    if (existing) {
+        return Object.assign(existing, live);
+    }
+
+    const entry = { ...live, parent: "home", children: [], depth: 1 };
+    network.servers.push(entry);
+    const home = getServer(network, "home");
+    if (home && !home.children.includes(hostname)) home.children.push(hostname);
+    return entry;
+}
+
+/**
+ * Hop path from home to a host, following parent links.
+ * @param {NetworkModel} network
+ * @param {string} hostname
+ * @returns {string[]|null} ["home", ..., hostname], or null if the model has no route to it
+ */
+export function getPath(network, hostname) {
+    const path = [];
+    let current = getServer(network, hostname);
+    while (current) {
+        path.unshift(current.hostname);
+        if (current.hostname === "home") return path;
+        if (path.length > network.servers.length) return null; // Broken parent links
+        current = current.parent ? getServer(network, current.parent) : undefined;
+    }
+    return null;
+}
+
+/**
+ * Terminal commands that walk a path, ready to paste.
+ * @param {string[]} path - As returned by getPath
+ */
+export function connectString(path) {
+    return ["home", ...path.slice(1).map(host => `connect ${host}`)].join("; ");
+}
+
+/**
+ * Compare two scans. Returns no events when there is no previous scan to compare against.
+ * @param {NetworkModel} previous
+ * @param {NetworkModel} current
+ * @returns {NetworkEvent[]}
+ */
+export function diffNetworks(previous, current) {
+    if (previous.servers.length === 0) return [];
+
+    const time = Date.now();
+    const events = [];
+    const event = (type, hostname, details) => events.push(details ? { type, hostname, time, details } : { type, hostname, time });
+
+    for (const server of current.servers) {
+        const before = getServer(previous, server.hostname);
+        if (!before) {
+            event(NETWORK_EVENT.NEW_HOST, server.hostname);
+            continue;
+        }
+        if (server.hasRootAccess && !before.hasRootAccess) {
+            event(NETWORK_EVENT.ROOT_GAINED, server.hostname);
+        }
+        if (server.backdoorInstalled && !before.backdoorInstalled) {
+            event(NETWORK_EVENT.BACKDOOR_INSTALLED, server.hostname);
+        }
+        if (server.maxRam !== before.maxRam) {
+            event(NETWORK_EVENT.RAM_CHANGED, server.hostname, { from: before.maxRam, to: server.maxRam });
+        }
+        // Only meaningful when both scans know the player's level (older files don't)
+        if (previous.hackLevel !== undefined && current.hackLevel !== undefined &&
+            server.requiredHackingSkill > previous.hackLevel &&
+            server.requiredHackingSkill <= current.hackLevel) {
+            event(NETWORK_EVENT.HACKABLE, server.hostname, { requiredHackingSkill: server.requiredHackingSkill });
+        }
+    }
+    return events;
+}
+
+/**
+ * Publish events on the network event channel and append them to the event log.
+ * @param {NS} ns
+ * @param {NetworkEvent[]} events
+ */
+export function emitNetworkEvents(ns, events) {
+    if (events.length === 0) return;
+    for (const event of events) {
+        publish(ns, CHANNELS.NETWORK_EVENTS, event, event.type);
+    }
+    ns.write(NETWORK_EVENTS_FILE, events.map(event => JSON.stringify(event)).join("\n") + "\n", "a");
+}
+
+/**
+ * Take every event waiting on the network event channel.
+ * @param {NS} ns
+ * @returns {NetworkEvent[]}
+ */
+export function drainNetworkEvents(ns) {
+    return take(ns, CHANNELS.NETWORK_EVENTS)
+        .map(message => message.data)
+        .filter(event => event && event.type && event.hostname);
+}
+
+/**
+ * Whether discovery data is older than maxAge.
+ * @param {NetworkModel} network
+ * @param {number=} maxAge - ms
+ */
+export function isStale(network, maxAge = DEFAULT_MAX_AGE) {
+    return Date.now() - network.updatedAt > maxAge;
+}
+
+/**
+ * Hosts we have root on, home included.
+ * @param {NetworkModel} network
+ */
+export function getRooted(network) {
+    return network.servers.filter(server => server.hasRootAccess);
+}
+
+/**
+ * Rooted hosts with RAM to run scripts on.
+ * @param {NetworkModel} network
+ */
+export function getRunnable(network) {
+    return network.servers.filter(server => server.hasRootAccess && server.maxRam > 0);
+}
+
+/**
+ * Rooted hosts with money that the given hacking level can hack. Home and purchased servers never qualify.
+ * @param {NetworkModel} network
+ * @param {number} hackLevel
+ */
+export function getHackable(network, hackLevel) {
+    return network.servers.filter(server =>
+        server.hostname !== "home" &&
+        !server.hostname.startsWith("pserv-") &&
+        server.hasRootAccess &&
+        server.maxMoney > 0 &&
+        server.requiredHackingSkill <= hackLevel
+    );
+}
@@ -0,0 +1,86 @@
+/**
+ * Server prep calculations: what it takes to bring a target to min security and max money
+ * before the batcher starts hacking it.
+ */
+
+/** Lifecycle of a batch target */
+export const PREP_STATUS = {
+    UNPREPPED: "unprepped", // Security above min and/or money below max
+    PREPPING: "prepping", // Weaken/grow round in flight
+    READY: "ready", // At min security and max money, waiting for batches
+    BATCHED: "batched", // HWGW batches in flight
+};
+
+const SECURITY_TOLERANCE = 0.01;
+const MONEY_TOLERANCE = 0.99;
+
+/**
+ * Whether a server is at min security and (near) max money.
+ * @param {NS} ns
+ * @param {string} target
+ */
+export function isPrepped(ns, target) {
+    const security = ns.getServerSecurityLevel(target);
+    const minSecurity = ns.getServerMinSecurityLevel(target);
+    const money = ns.getServerMoneyAvailable(target);
+    const maxMoney = ns.getServerMaxMoney(target);
+
+    return security <= minSecurity + SECURITY_TOLERANCE && money >= maxMoney * MONEY_TOLERANCE;
+}
+
+/**
+ * Exact threads needed to prep a server in one round: weaken to min security, grow to max money,
+ * and weaken away the security the grow adds.
+ * @param {NS} ns
+ * @param {string} target
+ * @returns {{weakenThreads: number, growThreads: number, growWeakenThreads: number, weakenTime: number, growTime: number}}
+ */
+export function calculatePrepThreads(ns, target) {
+    const weakenPerThread = ns.weakenAnalyze(1);
+    const security = ns.getServerSecurityLevel(target);
+    const minSecurity = ns.getServerMinSecurityLevel(target);
+    const money = Math.max(1, ns.getServerMoneyAvailable(target));
+    const maxMoney = ns.getServerMaxMoney(target);
+
+    let growThreads = 0;
+    if (money < maxMoney * MONEY_TOLERANCE) {
+        if (ns.fileExists("Formulas.exe", "home")) {
+            // Formulas can size grow for the security level it will actually run at (min, after the first weaken)
+            const server = ns.getServer(target);
+            server.hackDifficulty = server.minDifficulty;
+            growThreads = ns.formulas.hacking.growThreads(server, ns.getPlayer(), maxMoney);
+        } else {
+            growThreads = ns.growthAnalyze(target, maxMoney / money);
+        }
+        growThreads = Math.ceil(growThreads);
+    }
+
+    return {
+        weakenThreads: Math.max(0, Math.ceil((security - minSecurity) / weakenPerThread)),
+        growThreads,
+        growWeakenThreads: Math.ceil(ns.growthAnalyzeSecurity(growThreads, target) / weakenPerThread),
+        weakenTime: ns.getWeakenTime(target),
+        growTime: ns.getGrowTime(target),
+    };
+}
+
+/**
+ * Shrink a prep round to a thread budget: security first, then grow with its matching weaken.
+ * A partial round still makes progress; the next round picks up the rest.
+ * @param {{weakenThreads: number, growThreads: number, growWeakenThreads: number}} threads - From calculatePrepThreads
+ * @param {number} budgetThreads - Max threads the round may use
+ */
+export function fitPrepToBudget(threads, budgetThreads) {
+    let remaining = Math.max(0, Math.floor(budgetThreads));
+    const weakenThreads = Math.min(threads.weakenThreads, remaining);
+    remaining -= weakenThreads;
+
+    let { growThreads, growWeakenThreads } = threads;
+    if (growThreads + growWeakenThreads > remaining) {
+        const ratio = growThreads > 0 ? growWeakenThreads / growThreads : 0;
+        growThreads = Math.floor(remaining / (1 + ratio));
+        growWeakenThreads = Math.min(remaining - growThreads, Math.ceil(growThreads * ratio));
+    }
+
+    return { ...threads, weakenThreads, growThreads, growWeakenThreads };
+}
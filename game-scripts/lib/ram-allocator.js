@@ -0,0 +1,276 @@
+/**
+ * Network-wide RAM allocator shared by every script that launches other scripts.
+ *
+ * Usage:
+ *   const pool = getRamPool(ns);
+ *   const plan = allocate(ns, { script: "workers/weaken.js", threads: 40, priority: PRIORITY.WORKER }, pool);
+ *   execPlan(ns, plan, target);
+ *
+ * allocate() reserves RAM in the pool it is given, so several requests planned against the same
+ * pool never overlap. Home keeps a reserve for long-running managers and some headroom for the
+ * managers overlord re-launches periodically.
+ *
+ * Hacknet Servers can run scripts too, but every GB used there costs hash production. Whether
+ * they join the pool is set by HACKNET_POLICY_FILE (default HACKNET_POOL_POLICY, or per call),
+ * and a hacknet server is left out whenever the hashes it would lose per GB are worth more than a
+ * GB earns on the best batch target.
+ */
+
+import { CHANNELS, readData } from "./bus.js";
+import { MONEY_PER_HASH, isServerMode } from "./hacknet.js";
+import { loadNetwork } from "./network.js";
+
+export const HOME_SERVER = "home";
+
+/** Request priorities, highest first */
+export const PRIORITY = {
+    CRITICAL: 3, // Entry points (overlord, offline worker) may use every free GB on home
+    MANAGER: 2, // Manager scripts may use home RAM except the reserve held for RESERVED_SCRIPTS
+    WORKER: 1, // Hack/grow/weaken threads also leave MANAGER_HEADROOM free on home
+};
+
+/** Long-running managers that always get home RAM kept aside for them */
+export const RESERVED_SCRIPTS = ["managers/stat-grinder.js", "go/go-player.js"];
+
+/** When Hacknet Servers may host scripts */
+export const HACKNET_POLICY = {
+    NEVER: "never",
+    IDLE: "idle", // Only once every other host is full
+    ALWAYS: "always", // Like any other host
+};
+
+/** Default for getRamPool */
+export const HACKNET_POOL_POLICY = HACKNET_POLICY.IDLE;
+
+/** Holds one of HACKNET_POLICY to override the default (e.g. nano /state/hacknet_pool.txt) */
+export const HACKNET_POLICY_FILE = "/state/hacknet_pool.txt";
+
+const MAX_RESERVE_SHARE = 0.5; // Never reserve more than half of home for RESERVED_SCRIPTS
+const MANAGER_HEADROOM_GB = 32; // Home RAM workers leave free for short-lived managers
+const MANAGER_HEADROOM_SHARE = 0.25; // ...capped to this share of home on small machines
+
+/**
+ * The hacknet pool policy from HACKNET_POLICY_FILE, or the default when it is missing or invalid.
+ * @param {NS} ns
+ */
+export function getHacknetPolicy(ns) {
+    const policy = ns.read(HACKNET_POLICY_FILE).trim();
+    return Object.values(HACKNET_POLICY).includes(policy) ? policy : HACKNET_POOL_POLICY;
+}
+
+/**
+ * Snapshot every rooted host that can run scripts.
+ * @param {NS} ns
+ * @param {string=} hacknetPolicy - One of HACKNET_POLICY; read from HACKNET_POLICY_FILE when omitted
+ * @returns {{hostname: string, maxRam: number, usedRam: number, freeRam: number, homeReserve: number, homeHeadroom: number, lastResort: boolean}[]}
+ */
+export function getRamPool(ns, hacknetPolicy = getHacknetPolicy(ns)) {
+    const hostnames = new Set([HOME_SERVER, ...ns.getPurchasedServers()]);
+    loadNetwork(ns).servers.forEach(server => hostnames.add(server.hostname));
+
+    // Discovery sees hacknet servers too; they only join through the policy below
+    const hacknet = getHacknetHosts(ns, hacknetPolicy);
+    hacknet.forEach((worthUsing, hostname) => {
+        if (worthUsing) hostnames.add(hostname);
+        else hostnames.delete(hostname);
+    });
+
+    const pool = [];
+    for (const hostname of hostnames) {
+        if (!ns.serverExists(hostname) || !ns.hasRootAccess(hostname)) continue;
+
+        const maxRam = ns.getServerMaxRam(hostname);
+        if (maxRam <= 0) continue;
+
+        const usedRam = ns.getServerUsedRam(hostname);
+        const isHome = hostname === HOME_SERVER;
+        pool.push({
+            hostname,
+            maxRam,
+            usedRam,
+            freeRam: maxRam - usedRam,
+            homeReserve: isHome ? getHomeReserve(ns, maxRam) : 0,
+            homeHeadroom: isHome ? Math.min(MANAGER_HEADROOM_GB, maxRam * MANAGER_HEADROOM_SHARE) : 0,
+            // Idle-only hacknet servers only take what doesn't fit anywhere else
+            lastResort: hacknetPolicy === HACKNET_POLICY.IDLE && hacknet.has(hostname),
+        });
+    }
+
+    // Biggest hosts first so split requests land on as few hosts as possible
+    return pool.sort((a, b) => byLastResort(a, b) || b.freeRam - a.freeRam);
+}
+
+/** Sort order that puts last-resort hosts after every other host */
+function byLastResort(a, b) {
+    return Number(a.lastResort) - Number(b.lastResort);
+}
+
+/**
+ * Every hacknet server, mapped to whether it is worth running scripts on under the policy: it
+ * isn't when the hashes each GB used there costs are worth more than a GB earns on the best batch
+ * target. Hashes are valued at their sell price; without a target plan every server is worth using.
+ * @returns {Map<string, boolean>}
+ */
+function getHacknetHosts(ns, policy) {
+    const hosts = new Map();
+    if (!isServerMode(ns)) return hosts;
+
+    const plan = policy === HACKNET_POLICY.NEVER ? null : readData(ns, CHANNELS.TARGET_PLAN);
+    const earnedPerGb = plan && plan.targets && plan.targets.length > 0 ?
+        Math.max(...plan.targets.map(target => target.moneyPerSecPerGb)) : Infinity;
+
+    for (let node = 0; node < ns.hacknet.numNodes(); node++) {
+        const stats = ns.hacknet.getNodeStats(node);
+        // Production falls linearly with RAM used, so every GB costs the same share of the idle rate
+        const idleShare = 1 - stats.ramUsed / stats.ram;
+        const lossPerGb = idleShare > 0 ? stats.production / idleShare / stats.ram * MONEY_PER_HASH : Infinity;
+        hosts.set(stats.name, policy !== HACKNET_POLICY.NEVER && lossPerGb <= earnedPerGb);
+    }
+    return hosts;
+}
+
+/** RAM to hold back on home for reserved managers that are not running yet */
+function getHomeReserve(ns, homeMaxRam) {
+    let reserve = 0;
+    for (const script of RESERVED_SCRIPTS) {
+        if (!ns.fileExists(script, HOME_SERVER) || ns.scriptRunning(script, HOME_SERVER)) continue;
+        reserve += ns.getScriptRam(script, HOME_SERVER);
+    }
+    return Math.min(reserve, homeMaxRam * MAX_RESERVE_SHARE);
+}
+
+/**
+ * RAM a request of the given priority may use on a host.
+ * @param {object} host - An entry from getRamPool
+ * @param {number} priority - One of PRIORITY
+ * @param {string=} script - Scripts in RESERVED_SCRIPTS may use the home reserve
+ */
+export function availableRam(host, priority, script = null) {
+    let available = host.freeRam;
+    if (priority < PRIORITY.CRITICAL && !RESERVED_SCRIPTS.includes(script)) available -= host.homeReserve;
+    if (priority < PRIORITY.MANAGER) available -= host.homeHeadroom;
+    return Math.max(0, available);
+}
+
+/**
+ * Total RAM available to a priority across the pool
+ * @param {object[]} pool - From getRamPool
+ * @param {number} priority - One of PRIORITY
+ */
+export function totalAvailableRam(pool, priority) {
+    return pool.reduce((sum, host) => sum + availableRam(host, priority), 0);
+}
+
+/**
+ * Plan where the threads of a request should run and reserve that RAM in the pool.
+ * @param {NS} ns
+ * @param {object} request
+ * @param {string} request.script - Script to run
+ * @param {number=} request.threads - Threads wanted (default 1); Infinity takes everything available
+ * @param {boolean=} request.splittable - Whether threads may be spread over several hosts (default true)
+ * @param {number=} request.priority - One of PRIORITY (default WORKER)
+ * @param {string[]=} request.hosts - Restrict placement to these hosts (e.g. ["home"] for managers)
+ * @param {object[]=} pool - From getRamPool; a fresh snapshot is taken when omitted
+ * @returns {{script: string, requested: number, threads: number, complete: boolean, placements: {hostname: string, threads: number}[]}}
+ */
+export function allocate(ns, request, pool = getRamPool(ns)) {
+    const {
+        script,
+        threads = 1,
+        splittable = true,
+        priority = PRIORITY.WORKER,
+        hosts = null,
+    } = request;
+
+    const plan = { script, requested: threads, threads: 0, complete: false, placements: [] };
+    const scriptRam = ns.getScriptRam(script, HOME_SERVER);
+    if (scriptRam <= 0 || threads <= 0) return plan;
+
+    const candidates = pool
+        .filter(host => !hosts || hosts.includes(host.hostname))
+        .map(host => ({ host, fit: Math.floor(availableRam(host, priority, script) / scriptRam) }))
+        .filter(candidate => candidate.fit > 0);
+
+    if (splittable) {
+        let remaining = threads;
+        for (const { host, fit } of candidates) {
+            if (remaining <= 0) break;
+            const placed = Math.min(remaining, fit);
+            plan.placements.push({ hostname: host.hostname, threads: placed });
+            host.freeRam -= placed * scriptRam;
+            remaining -= placed;
+        }
+    } else {
+        // Best fit: the smallest host that takes every thread, or the roomiest one for "as many as possible"
+        const chosen = threads === Infinity
+            ? candidates.sort((a, b) => byLastResort(a.host, b.host) || b.fit - a.fit)[0]
+            : candidates.filter(c => c.fit >= threads).sort((a, b) => byLastResort(a.host, b.host) || a.fit - b.fit)[0];
+
+        if (chosen) {
+            const placed = Math.min(threads, chosen.fit);
+            plan.placements.push({ hostname: chosen.host.hostname, threads: placed });
+            chosen.host.freeRam -= placed * scriptRam;
+        }
+    }
+
+    plan.threads = plan.placements.reduce((sum, p) => sum + p.threads, 0);
+    plan.complete = threads === Infinity ? plan.threads > 0 : plan.threads >= threads;
+    return plan;
+}
+
+/**
+ * Plan several requests against one pool, highest priority first.
+ * Plans are returned in the same order as the requests.
+ * @param {NS} ns
+ * @param {object[]} requests - See allocate
+ * @param {object[]=} pool - From getRamPool
+ */
+export function allocateAll(ns, requests, pool = getRamPool(ns)) {
+    const order = requests
+        .map((request, index) => ({ request, index }))
+        .sort((a, b) => (b.request.priority ?? PRIORITY.WORKER) - (a.request.priority ?? PRIORITY.WORKER));
+
+    const plans = new Array(requests.length);
+    for (const { request, index } of order) {
+        plans[index] = allocate(ns, request, pool);
+    }
+    return plans;
+}
+
+/**
+ * Execute a plan from allocate, copying the script to remote hosts first.
+ * @param {NS} ns
+ * @param {object} plan - From allocate
+ * @param {...any} args - Script arguments
+ * @returns {number[]} PIDs of the processes started (0 entries are failed launches)
+ */
+export function execPlan(ns, plan, ...args) {
+    const pids = [];
+    for (const placement of plan.placements) {
+        if (placement.hostname !== HOME_SERVER && !ns.fileExists(plan.script, placement.hostname)) {
+            ns.scp(plan.script, placement.hostname, HOME_SERVER);
+        }
+        const pid = ns.exec(plan.script, placement.hostname, placement.threads, ...args);
+        if (pid === 0) {
+            ns.print(`RAM allocator: failed to start ${plan.script} on ${placement.hostname} (${placement.threads} threads)`);
+        }
+        pids.push(pid);
+    }
+    return pids;
+}
+
+/**
+ * Allocate and execute a single request in one step. Nothing is started unless the whole request fits.
+ * @param {NS} ns
+ * @param {object} request - See allocate
+ * @param {...any} args - Script arguments
+ * @returns {number} PID of the first process started, or 0 when the request did not fit or failed
+ */
+export function launch(ns, request, ...args) {
+    const plan = allocate(ns, request);
+    if (!plan.complete) {
+        ns.print(`RAM allocator: not enough RAM for ${request.script} (${plan.threads}/${plan.requested} threads fit)`);
+        return 0;
+    }
+    return execPlan(ns, plan, ...args).find(pid => pid !== 0) ?? 0;
+}
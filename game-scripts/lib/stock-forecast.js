@@ -0,0 +1,95 @@
+/**
+ * Pre-4S stock forecast estimator.
+ *
+ * Infers each symbol's forecast (chance the price rises on a tick) and volatility from observed
+ * price history, so the stock trader can run before 4S Market Data TIX API is bought. It exposes
+ * the same getForecast/getVolatility interface the trader uses for 4S data.
+ *
+ * Pure JavaScript (no ns calls) so the backtest utility can replay recorded ticks through it.
+ */
+
+const DEFAULTS = {
+    window: 60, // Price changes kept per symbol
+    minSamples: 20, // Changes needed before a forecast is trusted
+    shortWindow: 10, // Recent changes compared against the older history to spot cycle flips
+    flipMargin: 0.15, // Both windows must sit this far from 0.5, on opposite sides, to call a flip
+};
+
+/**
+ * Create an estimator.
+ * @param {object=} options - Overrides for DEFAULTS
+ */
+export function createForecastEstimator(options = {}) {
+    const opts = { ...DEFAULTS, ...options };
+    const history = new Map(); // symbol -> { lastPrice, changes: number[] (relative change per tick), flips }
+
+    function upRatio(changes) {
+        const moves = changes.filter(change => change !== 0);
+        if (moves.length === 0) return 0.5;
+        return moves.filter(change => change > 0).length / moves.length;
+    }
+
+    return {
+        /**
+         * Feed one observed price; call once per market tick per symbol.
+         * @param {string} symbol
+         * @param {number} price
+         */
+        record(symbol, price) {
+            if (!history.has(symbol)) {
+                history.set(symbol, { lastPrice: price, changes: [], flips: 0 });
+                return;
+            }
+
+            const entry = history.get(symbol);
+            entry.changes.push((price - entry.lastPrice) / entry.lastPrice);
+            entry.lastPrice = price;
+            if (entry.changes.length > opts.window) entry.changes.shift();
+
+            // A market cycle flip turns the forecast around; drop history from before it
+            if (entry.changes.length >= opts.minSamples) {
+                // Compare the recent window with what came before it, not with a window that contains it
+                const longRatio = upRatio(entry.changes.slice(0, -opts.shortWindow));
+                const shortRatio = upRatio(entry.changes.slice(-opts.shortWindow));
+                const flipped =
+                    (longRatio > 0.5 + opts.flipMargin && shortRatio < 0.5 - opts.flipMargin) ||
+                    (longRatio < 0.5 - opts.flipMargin && shortRatio > 0.5 + opts.flipMargin);
+                if (flipped) {
+                    entry.changes = entry.changes.slice(-opts.shortWindow);
+                    entry.flips++;
+                }
+            }
+        },
+
+        /**
+         * Whether the estimate can be trusted. Right after a flip the short window is enough:
+         * it is what revealed the new direction.
+         */
+        isReady(symbol) {
+            const entry = history.get(symbol);
+            if (!entry) return false;
+            return entry.changes.length >= (entry.flips > 0 ? opts.shortWindow : opts.minSamples);
+        },
+
+        /** Estimated chance of an up tick (0.5 until ready) */
+        getForecast(symbol) {
+            return this.isReady(symbol) ? upRatio(history.get(symbol).changes) : 0.5;
+        },
+
+        /** Estimated max relative move per tick (0 until ready) */
+        getVolatility(symbol) {
+            if (!this.isReady(symbol)) return 0;
+            return Math.max(...history.get(symbol).changes.map(Math.abs));
+        },
+
+        /** Number of cycle flips detected for a symbol */
+        getFlips(symbol) {
+            return history.get(symbol)?.flips ?? 0;
+        },
+
+        /** Ticks of usable history for a symbol */
+        getSampleCount(symbol) {
+            return history.get(symbol)?.changes.length ?? 0;
+        },
+    };
+}
@@ -0,0 +1,189 @@
+/**
+ * Multi-target income planner.
+ *
+ * Scores every rooted, hackable server by estimated money per second per GB of batch RAM and
+ * splits the RAM available to batch workers across the best few, so the network no longer
+ * hacks a single server. Overlord publishes the result; the batcher consumes it.
+ */
+
+import { BATCH, WORKER_SCRIPTS } from "./batch-config.js";
+import { isPrepped } from "./prep.js";
+
+export const BATCH_SCRIPTS = Object.values(WORKER_SCRIPTS);
+
+const DEFAULTS = {
+    maxTargets: 5, // Split RAM across at most this many servers
+    hackFraction: BATCH.HACK_FRACTION,
+    spacing: BATCH.SPACING, // ms
+    maxBatches: BATCH.MAX_BATCHES,
+    horizon: 30 * 60 * 1000, // Amortize prep time over this much income (ms)
+};
+
+// Security effects per thread (from the game's constants)
+const HACK_SECURITY = 0.002;
+const GROW_SECURITY = 0.004;
+const WEAKEN_SECURITY = 0.05;
+
+/**
+ * RAM per thread of the batch workers as the game charges it (hack is slightly cheaper than grow/weaken).
+ * @param {NS} ns
+ */
+function getWorkerRam(ns) {
+    return {
+        hack: ns.getScriptRam(WORKER_SCRIPTS.HACK, "home"),
+        growWeaken: Math.max(ns.getScriptRam(WORKER_SCRIPTS.GROW, "home"), ns.getScriptRam(WORKER_SCRIPTS.WEAKEN, "home")),
+    };
+}
+
+/**
+ * Estimate income and RAM needs for batching one server.
+ * @param {NS} ns
+ * @param {object} server - Entry from the discovery file
+ * @param {object=} options - Overrides for DEFAULTS
+ * @returns {{hostname: string, score: number, moneyPerSecPerGb: number, batchRam: number, saturationRam: number, cycleTime: number, prepped: boolean, prepTime: number}|null}
+ */
+export function scoreTarget(ns, server, options = {}) {
+    const opts = { ...DEFAULTS, ...options };
+    const hostname = server.hostname;
+    const maxMoney = ns.getServerMaxMoney(hostname);
+    if (maxMoney <= 0) return null;
+
+    const prepped = isPrepped(ns, hostname);
+
+    let hackPercent, hackChance, weakenTime, growThreads;
+    const hackThreadsFor = percent => Math.max(1, Math.floor(opts.hackFraction / percent));
+
+    if (ns.fileExists("Formulas.exe", "home")) {
+        // Formulas let us score every server as if it were already prepped
+        const player = ns.getPlayer();
+        const model = ns.getServer(hostname);
+        model.hackDifficulty = model.minDifficulty;
+        model.moneyAvailable = model.moneyMax;
+
+        hackPercent = ns.formulas.hacking.hackPercent(model, player);
+        hackChance = ns.formulas.hacking.hackChance(model, player);
+        weakenTime = ns.formulas.hacking.weakenTime(model, player);
+        if (hackPercent <= 0) return null;
+
+        const stolen = Math.min(0.99, hackThreadsFor(hackPercent) * hackPercent);
+        model.moneyAvailable = model.moneyMax * (1 - stolen);
+        growThreads = ns.formulas.hacking.growThreads(model, player, model.moneyMax);
+    } else {
+        // Without formulas, live values penalize unprepped servers (higher security = slower, worse odds)
+        hackPercent = ns.hackAnalyze(hostname);
+        hackChance = ns.hackAnalyzeChance(hostname);
+        weakenTime = ns.getWeakenTime(hostname);
+        if (hackPercent <= 0) return null;
+
+        const stolen = Math.min(0.99, hackThreadsFor(hackPercent) * hackPercent);
+        growThreads = ns.growthAnalyze(hostname, 1 / (1 - stolen));
+    }
+
+    const hackThreads = hackThreadsFor(hackPercent);
+    growThreads = Math.ceil(growThreads * 1.05);
+    const weakenThreads = Math.ceil((hackThreads * HACK_SECURITY + growThreads * GROW_SECURITY) / WEAKEN_SECURITY);
+
+    const workerRam = getWorkerRam(ns);
+    const batchRam = hackThreads * workerRam.hack + (growThreads + weakenThreads) * workerRam.growWeaken;
+    const moneyPerBatch = maxMoney * Math.min(0.99, hackThreads * hackPercent) * hackChance;
+
+    // Each batch holds its RAM for roughly one weaken time
+    const moneyPerSecPerGb = moneyPerBatch / batchRam / (weakenTime / 1000);
+
+    // Unprepped servers earn nothing until a weaken cycle has passed
+    const prepTime = prepped ? 0 : weakenTime;
+    const score = moneyPerSecPerGb * opts.horizon / (opts.horizon + prepTime);
+
+    const maxBatches = Math.min(opts.maxBatches, Math.max(1, Math.floor(weakenTime / (4 * opts.spacing))));
+
+    return {
+        hostname,
+        score,
+        moneyPerSecPerGb,
+        batchRam,
+        saturationRam: batchRam * maxBatches,
+        cycleTime: weakenTime,
+        prepped,
+        prepTime,
+    };
+}
+
+/**
+ * RAM batch workers could use right now: what is free to them plus what they already occupy.
+ * @param {NS} ns
+ * @param {object[]} pool - From getRamPool in lib/ram-allocator.js
+ * @param {number} freeWorkerRam - totalAvailableRam(pool, PRIORITY.WORKER)
+ */
+export function getWorkerCapacity(ns, pool, freeWorkerRam) {
+    let busy = 0;
+    for (const host of pool) {
+        for (const process of ns.ps(host.hostname)) {
+            if (BATCH_SCRIPTS.includes(process.filename)) {
+                busy += ns.getScriptRam(process.filename, host.hostname) * process.threads;
+            }
+        }
+    }
+    return freeWorkerRam + busy;
+}
+
+/**
+ * Rank every candidate server and split capacity across the top targets.
+ * @param {NS} ns
+ * @param {object[]} servers - Entries from the discovery file
+ * @param {number} capacity - GB of RAM available to batch workers
+ * @param {object=} options - Overrides for DEFAULTS
+ * @returns {{targets: {hostname: string, score: number, moneyPerSecPerGb: number, ramBudget: number, threadBudget: number, prepped: boolean}[], capacity: number, hackLevel: number, lastUpdate: number}}
+ */
+export function planTargets(ns, servers, capacity, options = {}) {
+    const opts = { ...DEFAULTS, ...options };
+    const hackLevel = ns.getHackingLevel();
+    const { growWeaken: threadRam } = getWorkerRam(ns);
+
+    const scored = [];
+    for (const server of servers) {
+        if (server.hostname === "home" || server.hostname.startsWith("pserv-")) continue;
+        if (!ns.hasRootAccess(server.hostname)) continue;
+        if (ns.getServerRequiredHackingLevel(server.hostname) > hackLevel) continue;
+
+        try {
+            const result = scoreTarget(ns, server, opts);
+            if (result && result.score > 0) scored.push(result);
+        } catch (error) {
+            ns.print(`Target planner: could not score ${server.hostname}: ${error.message}`);
+        }
+    }
+    scored.sort((a, b) => b.score - a.score);
+
+    // Give the best target all the RAM it can use, then move down the list
+    const targets = [];
+    let remaining = capacity;
+    for (const candidate of scored) {
+        if (targets.length >= opts.maxTargets || remaining < candidate.batchRam) break;
+
+        const ramBudget = Math.min(remaining, candidate.saturationRam);
+        targets.push({
+            hostname: candidate.hostname,
+            score: candidate.score,
+            moneyPerSecPerGb: candidate.moneyPerSecPerGb,
+            ramBudget,
+            threadBudget: Math.floor(ramBudget / threadRam),
+            prepped: candidate.prepped,
+        });
+        remaining -= ramBudget;
+    }
+
+    // Not even one batch fits: still hand out the best target so workers have something to do
+    if (targets.length === 0 && scored.length > 0) {
+        const best = scored[0];
+        targets.push({
+            hostname: best.hostname,
+            score: best.score,
+            moneyPerSecPerGb: best.moneyPerSecPerGb,
+            ramBudget: capacity,
+            threadBudget: Math.floor(capacity / threadRam),
+            prepped: best.prepped,
+        });
+    }
+
+    return { targets, capacity, hackLevel, lastUpdate: Date.now() };
+}
@@ -1,3 +1,6 @@
+import { PRIORITY, launch } from "./lib/ram-allocator.js";
+import { loadNetwork, getRooted } from "./lib/network.js";
+
 /** @param {NS} ns */
 export async function main(ns) {
     // Parse arguments for simplified command structure
@@ -35,17 +38,32 @@ export async function main(ns) {
             OVERLORD: "core/overlord.js",
             OFFLINE: "core/offline-worker.js"
         },
+        FILES: {
+            LAST_MODE: "/state/main_mode.txt" // Lets core/reset-callback.js resume this mode after an install
+        },
         ALL_SCRIPTS: [
             "core/overlord.js",
             "core/offline-worker.js",
+            "core/reset-callback.js",
             "managers/hack-manager.js",
             "managers/tor-manager.js",
             "managers/purchase-server-manager.js",
+            "managers/home-manager.js",
+            "managers/home-upgrade.js",
             "managers/hacknet-farm.js",
+            "managers/batcher.js",
+            "managers/stock-trader.js",
+            "managers/faction-manager.js",
+            "managers/augmentation-buyer.js",
+            "managers/reset-manager.js",
             "workers/bot-worker.js",
+            "workers/hack.js",
+            "workers/grow.js",
+            "workers/weaken.js",
             "discovery/server-discovery.js",
             "discovery/backdoor-manager.js",
             "monitoring/port-monitor.js",
+            "monitoring/metrics-recorder.js",
             "monitoring/debug-ports.js"
         ]
     };
@@ -87,9 +105,10 @@ export async function main(ns) {
     // Prepare arguments for the script
     const scriptArgs = enableGo ? ["--go"] : [];
 
-    const pid = ns.exec(scriptToRun, "home", 1, ...scriptArgs);
+    const pid = launch(ns, { script: scriptToRun, splittable: false, priority: PRIORITY.CRITICAL, hosts: ["home"] }, ...scriptArgs);
     if (pid !== 0) {
         ns.tprint(`SUCCESS: Started ${mode} mode (PID: ${pid})`);
+        ns.write(CONFIG.FILES.LAST_MODE, JSON.stringify({ mode, go: enableGo, args: [...args], startedAt: Date.now() }), "w");
         ns.tprint(`Script: ${scriptToRun}${enableGo ? ' --go' : ''}`);
         if (enableGo) {
             ns.tprint("Go automation enabled - check port monitor for game status");
@@ -128,24 +147,16 @@ export async function main(ns) {
                 }
             }
 
-            // Kill scripts on discovered servers (if server list exists)
-            try {
-                if (ns.fileExists("/servers/server_info.txt")) {
-                    const serverData = JSON.parse(ns.read("/servers/server_info.txt"));
-                    for (const serverInfo of serverData) {
-                        if (serverInfo.hasRootAccess && serverInfo.hostname !== "home") {
-                            const serverScripts = ns.ps(serverInfo.hostname);
-                            for (const script of serverScripts) {
-                                if (ns.scriptKill(script.filename, serverInfo.hostname)) {
-                                    ns.print(`Killed: ${script.filename} on ${serverInfo.hostname}`);
-                                    killedCount++;
-                                }
-                            }
-                        }
+            // Kill scripts on discovered servers (an empty model if discovery hasn't run yet)
+            for (const serverInfo of getRooted(loadNetwork(ns))) {
+                if (serverInfo.hostname === "home") continue;
+                const serverScripts = ns.ps(serverInfo.hostname);
+                for (const script of serverScripts) {
+                    if (ns.scriptKill(script.filename, serverInfo.hostname)) {
+                        ns.print(`Killed: ${script.filename} on ${serverInfo.hostname}`);
+                        killedCount++;
                     }
                 }
-            } catch (error) {
-                ns.print("Could not read server list for cleanup - continuing anyway");
             }
         }
 
@@ -0,0 +1,254 @@
+/**
+ * Usage: run managers/augmentation-buyer.js [--dry-run] [--no-neuroflux | --neuroflux-only] [--budget <money>] [--quiet]
+ *   --budget  plan with this much money instead of what is on hand (e.g. counting stocks not sold yet)
+ *   --quiet   keep the purchase order out of the terminal
+ *
+ * A dry run writes what it could afford to CONFIG.DRY_RUN_FILE for the reset manager.
+ *
+ * @param {NS} ns
+ */
+export async function main(ns) {
+    const CONFIG = {
+        PLAN_FILE: "/planning/augmentation_plan.json", // Written by augmentation-planner.js
+        DRY_RUN_FILE: "/planning/augmentation_dry_run.json", // Read by reset-manager.js
+        NEUROFLUX: "NeuroFlux Governor",
+        BASE_PRICE_MULT: 1.9, // Every purchase multiplies the price of the rest by this until the next install
+        SF11_PRICE_MULT: [1, 0.96, 0.94, 0.93], // Source-File 11 softens the inflation
+        BUY_NEUROFLUX: true, // Spend what is left on NeuroFlux Governor levels
+    };
+
+    ns.disableLog("ALL");
+
+    const dryRun = ns.args.includes("--dry-run");
+    const neurofluxOnly = ns.args.includes("--neuroflux-only"); // The reset manager buys home upgrades in between
+    const buyNeurofluxLevels = CONFIG.BUY_NEUROFLUX && !ns.args.includes("--no-neuroflux");
+    const budgetIndex = ns.args.indexOf("--budget");
+    const budget = budgetIndex !== -1 ? Number(ns.args[budgetIndex + 1]) : null;
+    if (budget !== null && !(budget >= 0)) {
+        ns.tprint(`ERROR: --budget needs an amount of money, got "${ns.args[budgetIndex + 1]}"`);
+        return;
+    }
+    const report = ns.args.includes("--quiet") ? msg => ns.print(msg) : msg => ns.tprint(msg);
+
+    // Check if Singularity API is available for purchases
+    try {
+        if (!ns.singularity || typeof ns.singularity.purchaseAugmentation !== 'function') {
+            throw new Error("purchaseAugmentation not found");
+        }
+        ns.singularity.getOwnedAugmentations(true); // Throws without Source-File 4
+    } catch (error) {
+        ns.tprint("Augmentation Buyer requires Singularity API (Source-File 4)");
+        ns.tprint(`  Buy augmentations manually from each faction's page, most expensive first (${error.message})`);
+        return;
+    }
+
+    const plan = loadPlan();
+    if (!plan) {
+        ns.tprint(`ERROR: No augmentation plan at ${CONFIG.PLAN_FILE} - run managers/augmentation-planner.js first`);
+        return;
+    }
+
+    const priceMult = getPriceMult();
+    const owned = ns.singularity.getOwnedAugmentations(true);
+    const { available, blocked } = collectCandidates(plan, owned);
+    const order = orderPurchases(available, owned);
+
+    // Full shopping list at current prices, inflating after every purchase
+    const fullCost = totalCost(order, priceMult);
+    const money = budget ?? ns.getServerMoneyAvailable("home");
+    const affordable = neurofluxOnly ? [] : pickAffordable(order, money, priceMult);
+
+    if (!neurofluxOnly) {
+        report(`=== AUGMENTATION PURCHASE ORDER${dryRun ? " (DRY RUN)" : ""} ===`);
+        order.forEach((aug, i) => {
+            const inflated = aug.price * Math.pow(priceMult, i);
+            const mark = affordable.includes(aug) ? "" : " [over budget]";
+            report(`${i + 1}. ${aug.name} (${aug.faction}) - $${ns.formatNumber(aug.price, 2)} now, $${ns.formatNumber(inflated, 2)} in order${mark}`);
+        });
+        for (const entry of blocked) {
+            report(`  Skipped ${entry.name}: ${entry.reason}`);
+        }
+        report(`Full list: $${ns.formatNumber(fullCost, 2)} for ${order.length} augs (price mult x${priceMult})`);
+        report(`Affordable now: ${affordable.length} augs for $${ns.formatNumber(totalCost(affordable, priceMult), 2)} of $${ns.formatNumber(money, 2)}`);
+    }
+
+    if (dryRun) {
+        ns.write(CONFIG.DRY_RUN_FILE, JSON.stringify({
+            affordable: affordable.map(aug => aug.name),
+            cost: totalCost(affordable, priceMult),
+            budget: money,
+            time: Date.now(),
+        }, null, 2), "w");
+        const neuroflux = getNeurofluxSource();
+        if (buyNeurofluxLevels && neuroflux) {
+            report(`Then ${CONFIG.NEUROFLUX} from ${neuroflux} at $${ns.formatNumber(ns.singularity.getAugmentationPrice(CONFIG.NEUROFLUX), 2)} and rising`);
+        }
+        return;
+    }
+
+    let bought = 0;
+    let spent = 0;
+    for (const aug of affordable) {
+        // Prices are re-read live: the estimate only decided which augs make the cut
+        const price = ns.singularity.getAugmentationPrice(aug.name);
+        if (ns.getServerMoneyAvailable("home") < price) {
+            ns.print(`Out of money before ${aug.name} - stopping`);
+            break;
+        }
+        if (ns.singularity.purchaseAugmentation(aug.faction, aug.name)) {
+            bought++;
+            spent += price;
+            ns.tprint(`Bought ${aug.name} from ${aug.faction} for $${ns.formatNumber(price, 2)}`);
+        } else {
+            ns.print(`WARNING: Could not buy ${aug.name} from ${aug.faction}`);
+        }
+    }
+
+    if (buyNeurofluxLevels) {
+        const result = buyNeuroflux();
+        bought += result.bought;
+        spent += result.spent;
+    }
+
+    ns.tprint(`Augmentation Buyer: bought ${bought} augs for $${ns.formatNumber(spent, 2)}`);
+
+    function loadPlan() {
+        try {
+            const content = ns.read(CONFIG.PLAN_FILE);
+            if (!content) return null;
+            const data = JSON.parse(content);
+            return Array.isArray(data.factions) ? data : null;
+        } catch (error) {
+            ns.print(`Could not read augmentation plan: ${error.message}`);
+            return null;
+        }
+    }
+
+    function getPriceMult() {
+        try {
+            const level = Math.min(3, ns.getResetInfo().ownedSF.get(11) ?? 0);
+            return CONFIG.BASE_PRICE_MULT * CONFIG.SF11_PRICE_MULT[level];
+        } catch (error) {
+            return CONFIG.BASE_PRICE_MULT;
+        }
+    }
+
+    function collectCandidates(plan, owned) {
+        // One entry per planned aug, bought from whichever joined faction offers it with enough rep
+        const joined = ns.getPlayer().factions;
+        const names = new Set();
+        for (const faction of plan.factions) {
+            for (const aug of faction.augs || []) names.add(aug.name);
+        }
+        names.delete(CONFIG.NEUROFLUX);
+
+        const available = [];
+        const blocked = [];
+        for (const name of names) {
+            if (owned.includes(name)) continue;
+
+            const repReq = ns.singularity.getAugmentationRepReq(name);
+            const sellers = joined.filter(faction => ns.singularity.getAugmentationsFromFaction(faction).includes(name));
+            const seller = sellers.find(faction => ns.singularity.getFactionRep(faction) >= repReq);
+
+            if (sellers.length === 0) {
+                blocked.push({ name, reason: "no joined faction sells it" });
+            } else if (!seller) {
+                blocked.push({ name, reason: `needs ${ns.formatNumber(repReq, 0)} rep with ${sellers.join(" or ")}` });
+            } else {
+                available.push({
+                    name,
+                    faction: seller,
+                    price: ns.singularity.getAugmentationPrice(name),
+                    prereqs: ns.singularity.getAugmentationPrereq(name),
+                });
+            }
+        }
+
+        // Drop augs whose prerequisites can't be had this round
+        const buyable = new Set(available.map(aug => aug.name));
+        let changed = true;
+        while (changed) {
+            changed = false;
+            for (const aug of available) {
+                if (!buyable.has(aug.name)) continue;
+                const missing = aug.prereqs.filter(prereq => !owned.includes(prereq) && !buyable.has(prereq));
+                if (missing.length > 0) {
+                    buyable.delete(aug.name);
+                    blocked.push({ name: aug.name, reason: `needs prerequisite ${missing.join(", ")}` });
+                    changed = true;
+                }
+            }
+        }
+
+        return { available: available.filter(aug => buyable.has(aug.name)), blocked };
+    }
+
+    function orderPurchases(augs, owned) {
+        // Most expensive first, but a prerequisite always goes right before the first aug that needs it
+        const byName = new Map(augs.map(aug => [aug.name, aug]));
+        const sorted = [...augs].sort((a, b) => b.price - a.price);
+        const order = [];
+        const placed = new Set(owned);
+
+        function place(aug) {
+            if (placed.has(aug.name)) return;
+            for (const prereq of aug.prereqs) {
+                if (byName.has(prereq)) place(byName.get(prereq));
+            }
+            placed.add(aug.name);
+            order.push(aug);
+        }
+
+        sorted.forEach(place);
+        return order;
+    }
+
+    function totalCost(augs, mult) {
+        return augs.reduce((sum, aug, i) => sum + aug.price * Math.pow(mult, i), 0);
+    }
+
+    function pickAffordable(order, budget, mult) {
+        // Walk the order and keep whatever still fits once earlier picks have inflated the price
+        const picked = [];
+        const pickedNames = new Set(owned);
+        let spent = 0;
+        for (const aug of order) {
+            if (!aug.prereqs.every(prereq => pickedNames.has(prereq))) continue;
+            const cost = aug.price * Math.pow(mult, picked.length);
+            if (spent + cost > budget) continue;
+            spent += cost;
+            picked.push(aug);
+            pickedNames.add(aug.name);
+        }
+        return picked;
+    }
+
+    function getNeurofluxSource() {
+        // Any joined faction sells it; the one with the most rep can sell the most levels
+        const factions = ns.getPlayer().factions
+            .filter(faction => ns.singularity.getAugmentationsFromFaction(faction).includes(CONFIG.NEUROFLUX))
+            .sort((a, b) => ns.singularity.getFactionRep(b) - ns.singularity.getFactionRep(a));
+        return factions.length > 0 ? factions[0] : null;
+    }
+
+    function buyNeuroflux() {
+        const result = { bought: 0, spent: 0 };
+        const faction = getNeurofluxSource();
+        if (!faction) return result;
+
+        while (true) {
+            const price = ns.singularity.getAugmentationPrice(CONFIG.NEUROFLUX);
+            const repReq = ns.singularity.getAugmentationRepReq(CONFIG.NEUROFLUX);
+            if (ns.getServerMoneyAvailable("home") < price || ns.singularity.getFactionRep(faction) < repReq) break;
+            if (!ns.singularity.purchaseAugmentation(faction, CONFIG.NEUROFLUX)) break;
+            result.bought++;
+            result.spent += price;
+        }
+
+        if (result.bought > 0) {
+            ns.tprint(`Bought ${result.bought} ${CONFIG.NEUROFLUX} levels from ${faction} for $${ns.formatNumber(result.spent, 2)}`);
+        }
+        return result;
+    }
+}
@@ -1,7 +1,10 @@
+import { CHANNELS, publish } from "../lib/bus.js";
+
 /** @param {NS} ns */
 export async function main(ns) {
     const CONFIG = {
         OUTPUT_FILE: "/planning/augmentation_plan.txt",
+        PLAN_DATA_FILE: "/planning/augmentation_plan.json", // Machine-readable plan for the faction manager
         PRIORITIES: {
             // Priority scoring for different augmentation types
             HACKING: 100,
@@ -67,6 +70,7 @@ export async function main(ns) {
 
         // Save to file
         await saveReport(report);
+        savePlanData(factionPriorities, acquisitionPlan);
 
         // Update HUD port with summary data
         updateHUD(factionPriorities, acquisitionPlan);
@@ -265,6 +269,7 @@ export async function main(ns) {
         ].join("\n");
 
         await saveReport(report);
+        savePlanData(basicFactionPriorities.map((f, i) => ({ name: f.name, score: 100 - i * 10 })), null);
 
         // Update HUD with basic faction data
         const basicHudData = {
@@ -279,8 +284,7 @@ export async function main(ns) {
         };
 
         try {
-            ns.clearPort(3);
-            ns.writePort(3, JSON.stringify(basicHudData));
+            publish(ns, CHANNELS.AUGMENTATION, basicHudData);
         } catch (error) {
             ns.print(`Could not update HUD: ${error.message}`);
         }
@@ -303,6 +307,28 @@ export async function main(ns) {
         }
     }
 
+    function savePlanData(factionPriorities, acquisitionPlan) {
+        // Planned augs per faction, with the rep and price the faction manager works toward
+        const planned = acquisitionPlan ? [...acquisitionPlan.immediate, ...acquisitionPlan.future] : [];
+        const data = {
+            factions: factionPriorities.map(faction => ({
+                name: faction.name,
+                score: faction.score,
+                augs: planned
+                    .filter(aug => aug.faction === faction.name)
+                    .map(aug => ({ name: aug.name, price: aug.price, repReq: aug.repReq, prereqs: aug.prereqs })),
+            })),
+            limited: !acquisitionPlan,
+            lastUpdate: Date.now(),
+        };
+
+        try {
+            ns.write(CONFIG.PLAN_DATA_FILE, JSON.stringify(data), "w");
+        } catch (error) {
+            ns.print(`Could not save plan data: ${error.message}`);
+        }
+    }
+
     function updateHUD(factionPriorities, acquisitionPlan) {
         try {
             const hudData = {
@@ -320,9 +346,8 @@ export async function main(ns) {
                 lastUpdate: Date.now()
             };
 
-            ns.clearPort(3);
-            ns.writePort(3, JSON.stringify(hudData));
-            ns.print("HUD data updated on port 3");
+            publish(ns, CHANNELS.AUGMENTATION, hudData);
+            ns.print(`HUD data published on the ${CHANNELS.AUGMENTATION.name} channel`);
         } catch (error) {
             ns.print(`Could not update HUD: ${error.message}`);
         }
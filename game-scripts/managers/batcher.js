@@ -0,0 +1,295 @@
+import { PRIORITY, getRamPool, allocate, execPlan, totalAvailableRam } from "../lib/ram-allocator.js";
+import { PREP_STATUS, isPrepped, calculatePrepThreads, fitPrepToBudget } from "../lib/prep.js";
+import { CHANNELS, publish, readData } from "../lib/bus.js";
+import { BATCH, WORKER_SCRIPTS } from "../lib/batch-config.js";
+
+/** @param {NS} ns */
+export async function main(ns) {
+    // Configuration
+    const CONFIG = {
+        SCRIPTS: WORKER_SCRIPTS,
+        TARGETS: {
+            DEFAULT: "n00dles",
+        },
+        HOME_SERVER: "home",
+        ...BATCH, // HACK_FRACTION, SPACING and MAX_BATCHES, shared with the target planner
+        CYCLE_BUFFER: 500, // Extra wait after the last landing before re-planning
+        LOOP_INTERVAL: 1000, // How often to look for targets whose previous round finished
+    };
+
+    ns.disableLog("ALL");
+    ns.enableLog("print");
+
+    const hasFormulas = () => ns.fileExists("Formulas.exe", CONFIG.HOME_SERVER);
+    let batchCounter = 0;
+    // target -> { status, busyUntil, pids (prep round in flight), batches (last round) }
+    const targetStates = new Map();
+
+    ns.print("Batcher started");
+
+    while (true) {
+        const pool = getRamPool(ns);
+        const targets = getTargets();
+
+        for (const target of targets) {
+            if (totalAvailableRam(pool, PRIORITY.WORKER) <= 0) break;
+            advanceTarget(target, pool);
+        }
+
+        // Forget targets that left the plan once their last round has landed
+        const planned = new Set(targets.map(t => t.hostname));
+        for (const [hostname, state] of targetStates) {
+            if (!planned.has(hostname) && state.busyUntil <= Date.now()) targetStates.delete(hostname);
+        }
+
+        publishStatus(targets);
+        await ns.sleep(CONFIG.LOOP_INTERVAL);
+    }
+
+    function getTargets() {
+        // Explicit target argument wins and gets all the RAM
+        if (ns.args.length > 0) return [{ hostname: String(ns.args[0]), ramBudget: Infinity }];
+
+        // Otherwise follow overlord's target plan
+        const plan = readData(ns, CHANNELS.TARGET_PLAN);
+        if (plan) {
+            if (Array.isArray(plan.targets) && plan.targets.length > 0) return plan.targets;
+            if (!Array.isArray(plan.targets)) ns.print(`Invalid target plan on the ${CHANNELS.TARGET_PLAN.name} channel`);
+        }
+
+        // Fall back to the single best target
+        const hostname = readData(ns, CHANNELS.TARGET, CONFIG.TARGETS.DEFAULT);
+        return [{ hostname: String(hostname), ramBudget: Infinity }];
+    }
+
+    function advanceTarget(target, pool) {
+        // Move one target through unprepped -> prepping -> ready -> batched
+        const hostname = target.hostname;
+        if (!targetStates.has(hostname)) {
+            targetStates.set(hostname, { status: PREP_STATUS.UNPREPPED, busyUntil: 0, pids: [], batches: 0, expectedStolen: 0 });
+        }
+        const state = targetStates.get(hostname);
+
+        // Wait for the previous round to land
+        if (state.status === PREP_STATUS.PREPPING && state.pids.some(pid => ns.isRunning(pid))) return;
+        if (state.busyUntil > Date.now()) return;
+
+        if (isPrepped(ns, hostname)) {
+            if (state.status === PREP_STATUS.PREPPING || state.status === PREP_STATUS.UNPREPPED) {
+                ns.print(`${hostname} is prepped - handing it to the batch loop`);
+            }
+            state.status = PREP_STATUS.READY;
+        } else {
+            if (state.status === PREP_STATUS.BATCHED) {
+                ns.print(`${hostname} drifted out of prep after batching - re-prepping`);
+            }
+            state.status = PREP_STATUS.UNPREPPED;
+        }
+
+        const budget = Math.min(target.ramBudget, totalAvailableRam(pool, PRIORITY.WORKER));
+
+        if (state.status === PREP_STATUS.READY) {
+            const result = scheduleBatches(hostname, pool, budget);
+            state.batches = result.launched;
+            state.expectedStolen += result.expectedStolen || 0;
+            state.busyUntil = Date.now() + result.waitTime + CONFIG.CYCLE_BUFFER;
+            if (result.launched > 0) state.status = PREP_STATUS.BATCHED;
+        } else {
+            const result = prepTarget(hostname, pool, budget);
+            state.pids = result.pids;
+            state.batches = 0;
+            state.busyUntil = Date.now() + result.waitTime + CONFIG.CYCLE_BUFFER;
+            if (result.pids.length > 0) state.status = PREP_STATUS.PREPPING;
+        }
+    }
+
+    function prepTarget(target, pool, budget) {
+        // Bring the target to min security and max money with one weaken/grow/weaken round
+        const needed = calculatePrepThreads(ns, target);
+        const threads = fitPrepToBudget(needed, budget / ns.getScriptRam(CONFIG.SCRIPTS.GROW));
+
+        const growDelay = Math.max(0, needed.weakenTime - needed.growTime + CONFIG.SPACING);
+        const tag = `prep-${batchCounter++}`;
+        const pids = [];
+
+        const weakened = runSplit(CONFIG.SCRIPTS.WEAKEN, threads.weakenThreads, pool, target, 0, tag, pids);
+        const grown = runSplit(CONFIG.SCRIPTS.GROW, threads.growThreads, pool, target, growDelay, tag, pids);
+        runSplit(CONFIG.SCRIPTS.WEAKEN, threads.growWeakenThreads, pool, target, 2 * CONFIG.SPACING, tag, pids);
+
+        ns.print(
+            `Prepping ${target}: ${weakened}/${needed.weakenThreads} weaken, ${grown}/${needed.growThreads} grow, ` +
+                `${threads.growWeakenThreads} follow-up weaken (${ns.tFormat(needed.weakenTime)})`
+        );
+        return { pids, waitTime: pids.length > 0 ? needed.weakenTime + 2 * CONFIG.SPACING : 10_000 };
+    }
+
+    function publishStatus(targets) {
+        // Publish each planned target's lifecycle state for the port monitor
+        const statuses = targets.map(target => {
+            const state = targetStates.get(target.hostname);
+            return {
+                hostname: target.hostname,
+                status: state ? state.status : PREP_STATUS.UNPREPPED,
+                security: ns.getServerSecurityLevel(target.hostname),
+                minSecurity: ns.getServerMinSecurityLevel(target.hostname),
+                money: ns.getServerMoneyAvailable(target.hostname),
+                maxMoney: ns.getServerMaxMoney(target.hostname),
+                batches: state ? state.batches : 0,
+                expectedStolen: state ? state.expectedStolen : 0, // Cumulative since the batcher started
+                eta: state ? Math.max(0, state.busyUntil - Date.now()) : 0,
+            };
+        });
+
+        publish(ns, CHANNELS.PREP_STATUS, { targets: statuses, lastUpdate: Date.now() });
+    }
+
+    function calculateBatch(target) {
+        // Thread counts for one HWGW batch against a prepped target
+        const weakenPerThread = ns.weakenAnalyze(1);
+        let hackPercent;
+
+        if (hasFormulas()) {
+            const server = ns.getServer(target);
+            server.hackDifficulty = server.minDifficulty;
+            server.moneyAvailable = server.moneyMax;
+            hackPercent = ns.formulas.hacking.hackPercent(server, ns.getPlayer());
+        } else {
+            hackPercent = ns.hackAnalyze(target);
+        }
+
+        if (hackPercent <= 0) return null;
+
+        const hackThreads = Math.max(1, Math.floor(CONFIG.HACK_FRACTION / hackPercent));
+        const stolenFraction = Math.min(0.99, hackThreads * hackPercent);
+
+        let growThreads;
+        if (hasFormulas()) {
+            const server = ns.getServer(target);
+            server.hackDifficulty = server.minDifficulty;
+            server.moneyAvailable = server.moneyMax * (1 - stolenFraction);
+            growThreads = ns.formulas.hacking.growThreads(server, ns.getPlayer(), server.moneyMax);
+        } else {
+            growThreads = ns.growthAnalyze(target, 1 / (1 - stolenFraction));
+        }
+        growThreads = Math.ceil(growThreads * 1.05); // Small margin for rounding and level-ups mid-batch
+
+        const hackWeakenThreads = Math.ceil(ns.hackAnalyzeSecurity(hackThreads, target) / weakenPerThread);
+        const growWeakenThreads = Math.ceil(ns.growthAnalyzeSecurity(growThreads, target) / weakenPerThread);
+
+        // What one batch should earn, for the metrics recorder's per-target income split
+        const expectedSteal = stolenFraction * ns.getServerMaxMoney(target) * ns.hackAnalyzeChance(target);
+
+        return { hackThreads, hackWeakenThreads, growThreads, growWeakenThreads, expectedSteal };
+    }
+
+    function getTimings(target) {
+        if (hasFormulas()) {
+            const server = ns.getServer(target);
+            server.hackDifficulty = server.minDifficulty;
+            const player = ns.getPlayer();
+            return {
+                hack: ns.formulas.hacking.hackTime(server, player),
+                grow: ns.formulas.hacking.growTime(server, player),
+                weaken: ns.formulas.hacking.weakenTime(server, player),
+            };
+        }
+
+        return {
+            hack: ns.getHackTime(target),
+            grow: ns.getGrowTime(target),
+            weaken: ns.getWeakenTime(target),
+        };
+    }
+
+    function scheduleBatches(target, pool, budget) {
+        const batch = calculateBatch(target);
+        if (!batch) {
+            ns.print(`Cannot hack ${target} yet - waiting`);
+            return { launched: 0, waitTime: 10_000 };
+        }
+
+        const times = getTimings(target);
+        const spacing = CONFIG.SPACING;
+
+        // Landing order: H at T, W1 at T+S, G at T+2S, W2 at T+3S where T = weaken time
+        const delays = {
+            hack: times.weaken - times.hack,
+            hackWeaken: spacing,
+            grow: times.weaken - times.grow + 2 * spacing,
+            growWeaken: 3 * spacing,
+        };
+
+        const batchRam =
+            batch.hackThreads * ns.getScriptRam(CONFIG.SCRIPTS.HACK) +
+            batch.growThreads * ns.getScriptRam(CONFIG.SCRIPTS.GROW) +
+            (batch.hackWeakenThreads + batch.growWeakenThreads) * ns.getScriptRam(CONFIG.SCRIPTS.WEAKEN);
+        const freeRam = totalAvailableRam(pool, PRIORITY.WORKER);
+
+        // Batches must all start before the first one lands, or they would launch against a disturbed target
+        const maxByTime = Math.max(1, Math.floor(times.weaken / (4 * spacing)));
+        const batchCount = Math.min(CONFIG.MAX_BATCHES, maxByTime, Math.floor(Math.min(freeRam, budget) / batchRam));
+
+        if (batchCount < 1) {
+            ns.print(`Not enough RAM for a batch on ${target} (need ${ns.formatRam(batchRam)}, have ${ns.formatRam(freeRam)})`);
+            return { launched: 0, waitTime: 10_000 };
+        }
+
+        let launched = 0;
+        for (let i = 0; i < batchCount; i++) {
+            const offset = i * 4 * spacing;
+            const tag = `batch-${batchCounter++}`;
+
+            // Only commit a batch if every part fits; partial batches would desync the target
+            if (!fits(batch, pool)) break;
+
+            runSplit(CONFIG.SCRIPTS.HACK, batch.hackThreads, pool, target, delays.hack + offset, tag);
+            runSplit(CONFIG.SCRIPTS.WEAKEN, batch.hackWeakenThreads, pool, target, delays.hackWeaken + offset, tag);
+            runSplit(CONFIG.SCRIPTS.GROW, batch.growThreads, pool, target, delays.grow + offset, tag);
+            runSplit(CONFIG.SCRIPTS.WEAKEN, batch.growWeakenThreads, pool, target, delays.growWeaken + offset, tag);
+            launched++;
+        }
+
+        if (launched === 0) {
+            ns.print(`Could not place a full batch on ${target} - waiting`);
+            return { launched: 0, waitTime: 10_000 };
+        }
+
+        ns.print(
+            `Launched ${launched} batches on ${target} ` +
+                `(H${batch.hackThreads}/W${batch.hackWeakenThreads}/G${batch.growThreads}/W${batch.growWeakenThreads}, ` +
+                `${ns.formatRam(batchRam)} each)`
+        );
+
+        return {
+            launched,
+            waitTime: times.weaken + 3 * spacing + (launched - 1) * 4 * spacing,
+            expectedStolen: launched * batch.expectedSteal,
+        };
+    }
+
+    function fits(batch, pool) {
+        // Check that the whole batch can be placed, planning against a throwaway copy of the pool
+        const trial = pool.map(host => ({ ...host }));
+        const parts = [
+            [CONFIG.SCRIPTS.HACK, batch.hackThreads],
+            [CONFIG.SCRIPTS.WEAKEN, batch.hackWeakenThreads],
+            [CONFIG.SCRIPTS.GROW, batch.growThreads],
+            [CONFIG.SCRIPTS.WEAKEN, batch.growWeakenThreads],
+        ];
+
+        return parts.every(([script, threads]) =>
+            threads <= 0 || allocate(ns, { script, threads, priority: PRIORITY.WORKER }, trial).complete
+        );
+    }
+
+    function runSplit(script, threads, pool, target, delay, tag, launchedPids = null) {
+        // Spread threads over the pool; returns threads actually launched
+        if (threads <= 0) return 0;
+
+        const plan = allocate(ns, { script, threads, priority: PRIORITY.WORKER }, pool);
+        const pids = execPlan(ns, plan, target, delay, tag);
+        if (launchedPids) launchedPids.push(...pids.filter(pid => pid !== 0));
+
+        return plan.placements.reduce((sum, placement, i) => sum + (pids[i] !== 0 ? placement.threads : 0), 0);
+    }
+}
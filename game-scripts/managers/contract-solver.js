@@ -1,51 +1,123 @@
-/** @param {NS} ns */
+import { SOLVERS, solverFingerprint } from "../lib/contract-solvers.js";
+import { loadNetwork } from "../lib/network.js";
+import { CHANNELS, publish } from "../lib/bus.js";
+
+/**
+ * Usage: run managers/contract-solver.js [--watch]
+ *   --watch  keep running and rescan every WATCH_INTERVAL instead of exiting after one pass
+ *
+ * @param {NS} ns
+ */
 export async function main(ns) {
     const CONFIG = {
-        SERVER_INFO_FILE: "/servers/server_info.txt",
+        FILES: {
+            FAILURES: "/contracts/failures.txt", // Every rejected answer (JSON array)
+            VERIFIED: "/contracts/verified.txt", // Solver fingerprint per type that has produced an accepted answer
+            UNSOLVED: "/contracts/unsolved.txt", // Contracts left for manual solving, rewritten every run
+            INVENTORY: "/contracts/inventory.txt", // Every contract seen on the last scan (JSON array)
+        },
+        WATCH_INTERVAL: 60000, // Rescan every minute in watch mode
+        MAX_FAILURES_KEPT: 200,
         LOG_SOLUTIONS: true
     };
 
     ns.disableLog("sleep");
     ns.disableLog("scan");
 
-    let contractsSolved = 0;
-    let contractsFailed = 0;
-    let totalReward = 0;
+    const watch = ns.args.includes("--watch");
 
-    // Get all accessible servers
-    const servers = await getAllServers();
+    let failures = [];
+    let verified = {};
+    let unsolved = [];
+    let inventory = [];
 
-    ns.print(`Scanning ${servers.length} servers for contracts...`);
+    if (!watch) {
+        const result = await scanNetwork();
+        ns.tprint(formatSummary(result));
+        return;
+    }
 
-    for (const server of servers) {
-        const contracts = ns.ls(server, ".cct");
+    ns.print(`Contract Solver watching the network every ${CONFIG.WATCH_INTERVAL / 1000}s`);
+    let lastUnsolvedCount = 0;
+    while (true) {
+        try {
+            const result = await scanNetwork();
+            // Stay quiet unless something changed (skipped contracts count as failed on every pass)
+            if (result.solved > 0 || unsolved.length !== lastUnsolvedCount) {
+                ns.tprint(formatSummary(result));
+            }
+            lastUnsolvedCount = unsolved.length;
+        } catch (error) {
+            ns.print(`ERROR: Contract scan failed: ${error.message}`);
+        }
+        await ns.sleep(CONFIG.WATCH_INTERVAL);
+    }
 
-        for (const contract of contracts) {
-            try {
-                const result = await solveContract(server, contract);
-                if (result.success) {
-                    contractsSolved++;
-                    if (result.reward && typeof result.reward === 'number') {
-                        totalReward += result.reward;
+    async function scanNetwork() {
+        let contractsSolved = 0;
+        let contractsFailed = 0;
+        let totalReward = 0;
+
+        // Reloaded every pass: utils/test-contracts.js may have verified solvers since
+        failures = loadJSON(CONFIG.FILES.FAILURES, []);
+        verified = loadJSON(CONFIG.FILES.VERIFIED, {});
+        unsolved = [];
+        inventory = [];
+
+        // ls and attempt need no root access, so every known host is fair game
+        const servers = await getAllServers();
+
+        ns.print(`Scanning ${servers.length} servers for contracts...`);
+
+        for (const server of servers) {
+            const contracts = ns.ls(server, ".cct");
+
+            for (const contract of contracts) {
+                try {
+                    const result = await solveContract(server, contract);
+                    if (result.success) {
+                        contractsSolved++;
+                        if (result.reward && typeof result.reward === 'number') {
+                            totalReward += result.reward;
+                        }
+                        ns.print(`✓ Solved: ${contract} on ${server} - ${result.reward || 'Unknown reward'}`);
+                    } else {
+                        contractsFailed++;
+                        ns.print(`✗ Failed: ${contract} on ${server} - ${result.error}`);
                     }
-                    ns.print(`✓ Solved: ${contract} on ${server} - ${result.reward || 'Unknown reward'}`);
-                } else {
+                } catch (error) {
                     contractsFailed++;
-                    ns.print(`✗ Failed: ${contract} on ${server} - ${result.error}`);
+                    ns.print(`✗ Error solving ${contract} on ${server}: ${error.message}`);
                 }
-            } catch (error) {
-                contractsFailed++;
-                ns.print(`✗ Error solving ${contract} on ${server}: ${error.message}`);
             }
         }
+
+        saveJSON(CONFIG.FILES.FAILURES, failures.slice(-CONFIG.MAX_FAILURES_KEPT));
+        saveJSON(CONFIG.FILES.VERIFIED, verified);
+        saveJSON(CONFIG.FILES.INVENTORY, inventory);
+        writeUnsolvedReport();
+
+        publish(ns, CHANNELS.CONTRACTS, {
+            found: inventory.length,
+            solved: contractsSolved,
+            failed: contractsFailed,
+            unsolved: unsolved.map(entry => ({ file: entry.file, host: entry.host, type: entry.type, reason: entry.reason })),
+            reward: totalReward,
+            lastUpdate: Date.now(),
+        });
+
+        return { solved: contractsSolved, failed: contractsFailed, reward: totalReward };
     }
 
-    // Summary
-    const summary = `Contract Solver Summary: ${contractsSolved} solved, ${contractsFailed} failed`;
-    if (totalReward > 0) {
-        ns.tprint(`${summary}, $${totalReward.toLocaleString()} earned`);
-    } else {
-        ns.tprint(summary);
+    function formatSummary(result) {
+        let summary = `Contract Solver Summary: ${result.solved} solved, ${result.failed} failed`;
+        if (unsolved.length > 0) {
+            summary += ` (${unsolved.length} left for manual solving in ${CONFIG.FILES.UNSOLVED})`;
+        }
+        if (result.reward > 0) {
+            summary += `, $${result.reward.toLocaleString()} earned`;
+        }
+        return summary;
     }
 
     async function getAllServers() {
@@ -58,18 +130,22 @@ export async function main(ns) {
         const purchased = ns.getPurchasedServers();
         purchased.forEach(server => servers.add(server));
 
-        // Add discovered servers if available
-        try {
-            if (ns.fileExists(CONFIG.SERVER_INFO_FILE)) {
-                const serverData = JSON.parse(ns.read(CONFIG.SERVER_INFO_FILE));
-                serverData.forEach(server => {
-                    if (server.hasRootAccess) {
-                        servers.add(server.hostname);
-                    }
-                });
+        // Add every discovered server, rooted or not
+        const network = loadNetwork(ns);
+        if (network.servers.length > 0) {
+            network.servers.forEach(server => servers.add(server.hostname));
+            return Array.from(servers);
+        }
+
+        // No discovery data yet: walk the network ourselves
+        const queue = ["home"];
+        while (queue.length > 0) {
+            for (const neighbor of ns.scan(queue.shift())) {
+                if (!servers.has(neighbor)) {
+                    servers.add(neighbor);
+                    queue.push(neighbor);
+                }
             }
-        } catch (error) {
-            ns.print("Could not read server info file, using basic server list");
         }
 
         return Array.from(servers);
@@ -78,356 +154,106 @@ export async function main(ns) {
     async function solveContract(server, filename) {
         const contractType = ns.codingcontract.getContractType(filename, server);
         const data = ns.codingcontract.getData(filename, server);
+        const tries = ns.codingcontract.getNumTriesRemaining(filename, server);
 
-        let solution;
-
-        switch (contractType) {
-            case "Find Largest Prime Factor":
-                solution = solveLargestPrimeFactor(data);
-                break;
-
-            case "Subarray with Maximum Sum":
-                solution = solveMaxSubarraySum(data);
-                break;
+        // The reward is only revealed by a successful attempt; unsolved entries stay "pending"
+        const entry = { file: filename, host: server, type: contractType, tries, reward: null, status: "pending" };
+        inventory.push(entry);
 
-            case "Total Ways to Sum":
-                solution = solveTotalWaysToSum(data);
-                break;
-
-            case "Spiralize Matrix":
-                solution = solveSpiralizeMatrix(data);
-                break;
-
-            case "Array Jumping Game":
-                solution = solveArrayJumpingGame(data);
-                break;
-
-            case "Array Jumping Game II":
-                solution = solveArrayJumpingGame2(data);
-                break;
-
-            case "Merge Overlapping Intervals":
-                solution = solveMergeIntervals(data);
-                break;
-
-            case "Generate IP Addresses":
-                solution = solveGenerateIPs(data);
-                break;
-
-            case "Algorithmic Stock Trader I":
-                solution = solveStockTrader1(data);
-                break;
-
-            case "Algorithmic Stock Trader II":
-                solution = solveStockTrader2(data);
-                break;
-
-            case "Minimum Path Sum in a Triangle":
-                solution = solveMinPathSumTriangle(data);
-                break;
-
-            case "Unique Paths in a Grid I":
-                solution = solveUniquePathsGrid1(data);
-                break;
-
-            case "Unique Paths in a Grid II":
-                solution = solveUniquePathsGrid2(data);
-                break;
+        const solver = SOLVERS[contractType];
+        if (!solver) {
+            return skip(server, filename, contractType, data, tries, "no solver for this type");
+        }
 
-            case "Shortest Path in a Grid":
-                solution = solveShortestPathGrid(data);
-                break;
+        // A type that was rejected before stays benched until its solver code changes
+        const fingerprint = solverFingerprint(contractType);
+        if (failures.some(failure => failure.type === contractType && failure.fingerprint === fingerprint)) {
+            return skip(server, filename, contractType, data, tries, "solver failed on this type before");
+        }
 
-            default:
-                return { success: false, error: `Unsupported contract type: ${contractType}` };
+        // The last try destroys the contract on a wrong answer: only spend it on a proven solver
+        if (tries <= 1 && verified[contractType] !== fingerprint) {
+            return skip(server, filename, contractType, data, tries, "last try and solver not verified");
         }
 
+        const solution = solver(data);
+
         if (solution === null || solution === undefined) {
-            return { success: false, error: "No solution found" };
+            return skip(server, filename, contractType, data, tries, "no solution found");
         }
 
         const reward = ns.codingcontract.attempt(solution, filename, server);
 
         if (reward) {
+            entry.status = "solved";
+            entry.reward = reward;
+            verified[contractType] = fingerprint;
             return { success: true, reward: reward };
         } else {
-            return { success: false, error: "Solution rejected" };
-        }
-    }
-
-    // Contract solving algorithms
-    function solveLargestPrimeFactor(n) {
-        let largest = 1;
-
-        // Handle 2 separately
-        while (n % 2 === 0) {
-            largest = 2;
-            n = n / 2;
-        }
-
-        // Check odd factors from 3 onwards
-        for (let i = 3; i * i <= n; i += 2) {
-            while (n % i === 0) {
-                largest = i;
-                n = n / i;
-            }
-        }
-
-        // If n is still > 2, then it's prime
-        if (n > 2) largest = n;
-
-        return largest;
-    }
-
-    function solveMaxSubarraySum(arr) {
-        let maxSum = arr[0];
-        let currentSum = arr[0];
-
-        for (let i = 1; i < arr.length; i++) {
-            currentSum = Math.max(arr[i], currentSum + arr[i]);
-            maxSum = Math.max(maxSum, currentSum);
-        }
-
-        return maxSum;
-    }
-
-    function solveTotalWaysToSum(n) {
-        const dp = new Array(n + 1).fill(0);
-        dp[0] = 1;
-
-        for (let i = 1; i < n; i++) {
-            for (let j = i; j <= n; j++) {
-                dp[j] += dp[j - i];
-            }
-        }
-
-        return dp[n];
-    }
-
-    function solveSpiralizeMatrix(matrix) {
-        const result = [];
-        let top = 0, bottom = matrix.length - 1;
-        let left = 0, right = matrix[0].length - 1;
-
-        while (top <= bottom && left <= right) {
-            // Top row
-            for (let i = left; i <= right; i++) {
-                result.push(matrix[top][i]);
-            }
-            top++;
-
-            // Right column
-            for (let i = top; i <= bottom; i++) {
-                result.push(matrix[i][right]);
-            }
-            right--;
-
-            // Bottom row
-            if (top <= bottom) {
-                for (let i = right; i >= left; i--) {
-                    result.push(matrix[bottom][i]);
-                }
-                bottom--;
-            }
-
-            // Left column
-            if (left <= right) {
-                for (let i = bottom; i >= top; i--) {
-                    result.push(matrix[i][left]);
-                }
-                left++;
-            }
-        }
-
-        return result;
-    }
-
-    function solveArrayJumpingGame(arr) {
-        let maxReach = 0;
-
-        for (let i = 0; i < arr.length && i <= maxReach; i++) {
-            maxReach = Math.max(maxReach, i + arr[i]);
-            if (maxReach >= arr.length - 1) return 1;
-        }
-
-        return 0;
-    }
-
-    function solveArrayJumpingGame2(arr) {
-        if (arr.length <= 1) return 0;
-
-        let jumps = 0;
-        let currentEnd = 0;
-        let farthest = 0;
-
-        for (let i = 0; i < arr.length - 1; i++) {
-            farthest = Math.max(farthest, i + arr[i]);
-
-            if (i === currentEnd) {
-                jumps++;
-                currentEnd = farthest;
-
-                if (currentEnd >= arr.length - 1) break;
+            failures.push({
+                time: Date.now(),
+                file: filename,
+                host: server,
+                type: contractType,
+                data: toJSONSafe(data),
+                answer: toJSONSafe(solution),
+                fingerprint,
+            });
+            entry.status = tries > 1 ? "rejected" : "destroyed";
+            entry.tries = tries - 1;
+            if (tries > 1) {
+                unsolved.push({ file: filename, host: server, type: contractType, tries: tries - 1, reason: "answer rejected", data: toJSONSafe(data) });
             }
+            return { success: false, error: "Solution rejected" };
         }
-
-        return jumps;
     }
 
-    function solveMergeIntervals(intervals) {
-        if (!intervals.length) return [];
-
-        intervals.sort((a, b) => a[0] - b[0]);
-        const result = [intervals[0]];
-
-        for (let i = 1; i < intervals.length; i++) {
-            const current = intervals[i];
-            const last = result[result.length - 1];
-
-            if (current[0] <= last[1]) {
-                last[1] = Math.max(last[1], current[1]);
-            } else {
-                result.push(current);
-            }
-        }
-
-        return result;
+    function skip(host, file, type, data, tries, reason) {
+        unsolved.push({ file, host, type, tries, reason, data: toJSONSafe(data) });
+        return { success: false, error: `Skipped - ${reason}` };
     }
 
-    function solveGenerateIPs(s) {
-        const result = [];
-
-        function isValid(segment) {
-            if (segment.length > 3 || segment.length === 0) return false;
-            if (segment.length > 1 && segment[0] === '0') return false;
-            const num = parseInt(segment);
-            return num >= 0 && num <= 255;
-        }
-
-        function backtrack(start, path) {
-            if (path.length === 4) {
-                if (start === s.length) {
-                    result.push(path.join('.'));
-                }
-                return;
-            }
-
-            for (let len = 1; len <= 3 && start + len <= s.length; len++) {
-                const segment = s.substring(start, start + len);
-                if (isValid(segment)) {
-                    path.push(segment);
-                    backtrack(start + len, path);
-                    path.pop();
-                }
-            }
-        }
-
-        backtrack(0, []);
-        return result;
+    function toJSONSafe(value) {
+        // Square Root contracts use BigInt, which JSON can't encode
+        return JSON.parse(JSON.stringify(value, (key, v) => typeof v === "bigint" ? v.toString() : v));
     }
 
-    function solveStockTrader1(prices) {
-        let minPrice = Infinity;
-        let maxProfit = 0;
-
-        for (const price of prices) {
-            if (price < minPrice) {
-                minPrice = price;
-            } else if (price - minPrice > maxProfit) {
-                maxProfit = price - minPrice;
-            }
-        }
-
-        return maxProfit;
-    }
-
-    function solveStockTrader2(prices) {
-        let profit = 0;
-
-        for (let i = 1; i < prices.length; i++) {
-            if (prices[i] > prices[i - 1]) {
-                profit += prices[i] - prices[i - 1];
-            }
-        }
-
-        return profit;
-    }
-
-    function solveMinPathSumTriangle(triangle) {
-        const dp = triangle[triangle.length - 1].slice();
-
-        for (let i = triangle.length - 2; i >= 0; i--) {
-            for (let j = 0; j < triangle[i].length; j++) {
-                dp[j] = triangle[i][j] + Math.min(dp[j], dp[j + 1]);
-            }
+    function writeUnsolvedReport() {
+        const lines = [
+            "=== UNSOLVED CONTRACTS ===",
+            `Generated: ${new Date().toLocaleString()}`,
+            "",
+        ];
+        for (const entry of unsolved) {
+            lines.push(`${entry.file} on ${entry.host} - ${entry.type} (${entry.tries} tries left)`);
+            lines.push(`  Reason: ${entry.reason}`);
+            lines.push(`  Data: ${JSON.stringify(entry.data)}`);
+            lines.push(`  Solve: connect to ${entry.host}, then run ${entry.file}`);
         }
+        if (unsolved.length === 0) lines.push("None");
 
-        return dp[0];
-    }
-
-    function solveUniquePathsGrid1([m, n]) {
-        const dp = Array(m).fill().map(() => Array(n).fill(1));
-
-        for (let i = 1; i < m; i++) {
-            for (let j = 1; j < n; j++) {
-                dp[i][j] = dp[i - 1][j] + dp[i][j - 1];
-            }
+        try {
+            ns.write(CONFIG.FILES.UNSOLVED, lines.join("\n"), "w");
+        } catch (error) {
+            ns.print(`Could not write unsolved report: ${error.message}`);
         }
-
-        return dp[m - 1][n - 1];
     }
 
-    function solveUniquePathsGrid2(grid) {
-        const m = grid.length;
-        const n = grid[0].length;
-
-        if (grid[0][0] === 1 || grid[m - 1][n - 1] === 1) return 0;
-
-        const dp = Array(m).fill().map(() => Array(n).fill(0));
-        dp[0][0] = 1;
-
-        for (let i = 0; i < m; i++) {
-            for (let j = 0; j < n; j++) {
-                if (grid[i][j] === 1) continue;
-
-                if (i > 0) dp[i][j] += dp[i - 1][j];
-                if (j > 0) dp[i][j] += dp[i][j - 1];
-            }
+    function loadJSON(file, fallback) {
+        try {
+            const content = ns.read(file);
+            return content ? JSON.parse(content) : fallback;
+        } catch (error) {
+            ns.print(`Could not read ${file}, starting fresh: ${error.message}`);
+            return fallback;
         }
-
-        return dp[m - 1][n - 1];
     }
 
-    function solveShortestPathGrid(grid) {
-        const m = grid.length;
-        const n = grid[0].length;
-
-        if (grid[0][0] === 1 || grid[m - 1][n - 1] === 1) return "";
-
-        const queue = [[0, 0, ""]];
-        const visited = new Set(["0,0"]);
-        const directions = [
-            [0, 1, "R"], [1, 0, "D"], [0, -1, "L"], [-1, 0, "U"]
-        ];
-
-        while (queue.length > 0) {
-            const [x, y, path] = queue.shift();
-
-            if (x === m - 1 && y === n - 1) return path;
-
-            for (const [dx, dy, dir] of directions) {
-                const nx = x + dx;
-                const ny = y + dy;
-                const key = `${nx},${ny}`;
-
-                if (nx >= 0 && nx < m && ny >= 0 && ny < n &&
-                    grid[nx][ny] === 0 && !visited.has(key)) {
-                    visited.add(key);
-                    queue.push([nx, ny, path + dir]);
-                }
-            }
+    function saveJSON(file, value) {
+        try {
+            ns.write(file, JSON.stringify(value), "w");
+        } catch (error) {
+            ns.print(`Could not save ${file}: ${error.message}`);
         }
-
-        return "";
     }
-}
\ No newline at end of file
+}
@@ -0,0 +1,285 @@
+/** @param {NS} ns */
+export async function main(ns) {
+    const CONFIG = {
+        PLAN_FILE: "/planning/augmentation_plan.json", // Written by augmentation-planner.js
+        LOOP_INTERVAL: 60000, // Re-check invitations and rep every minute
+        FOCUS: false, // Unfocused work is slower but leaves the player free (Neuroreceptor Management Implant removes the penalty)
+        INTERRUPT_TRAINING: true, // Faction rep outranks stat grinding; never interrupts company work, crime or grafting
+        MANUAL_STEPS_SHOWN: 5, // Factions listed in guidance mode
+        WORK_TYPES: ["hacking", "field", "security"],
+
+        // Joining one city faction locks out its rivals (used when getFactionEnemies is unavailable)
+        CITY_ENEMIES: {
+            "Sector-12": ["Chongqing", "New Tokyo", "Ishima", "Volhaven"],
+            "Aevum": ["Chongqing", "New Tokyo", "Ishima", "Volhaven"],
+            "Chongqing": ["Sector-12", "Aevum", "Volhaven"],
+            "New Tokyo": ["Sector-12", "Aevum", "Volhaven"],
+            "Ishima": ["Sector-12", "Aevum", "Volhaven"],
+            "Volhaven": ["Sector-12", "Aevum", "Chongqing", "New Tokyo", "Ishima"],
+        },
+
+        // How to get an invitation, for guidance mode
+        JOIN_HINTS: {
+            "CyberSec": "Backdoor CSEC (run discovery/backdoor-manager.js for the connect path)",
+            "NiteSec": "Backdoor avmnite-02h",
+            "The Black Hand": "Backdoor I.I.I.I",
+            "BitRunners": "Backdoor run4theh111z",
+            "Tian Di Hui": "Hacking 50 and $1m while in Chongqing, New Tokyo or Ishima",
+            "Netburners": "Hacking 80 and Hacknet totals of 100 levels, 8GB RAM, 4 cores",
+            "Sector-12": "Be in Sector-12 with $15m",
+            "Chongqing": "Be in Chongqing with $20m",
+            "New Tokyo": "Be in New Tokyo with $20m",
+            "Ishima": "Be in Ishima with $30m",
+            "Aevum": "Be in Aevum with $40m",
+            "Volhaven": "Be in Volhaven with $50m",
+            "Daedalus": "30 installed augmentations, $100b and Hacking 2500 (or 1500 in all combat stats)",
+        },
+    };
+
+    ns.disableLog("sleep");
+    ns.disableLog("getServerMoneyAvailable");
+
+    // Check if Singularity API is available for faction functions
+    let SINGULARITY_AVAILABLE = false;
+    try {
+        if (ns.singularity &&
+            typeof ns.singularity.checkFactionInvitations === 'function' &&
+            typeof ns.singularity.workForFaction === 'function') {
+
+            // Throws without Source-File 4
+            ns.singularity.checkFactionInvitations();
+            SINGULARITY_AVAILABLE = true;
+            ns.print("Singularity API available - automated faction work enabled");
+        } else {
+            ns.print("Singularity API functions not found - guidance mode only");
+        }
+    } catch (error) {
+        ns.print(`Singularity API not available - guidance mode only (${error.message})`);
+        SINGULARITY_AVAILABLE = false;
+    }
+
+    if (!SINGULARITY_AVAILABLE) {
+        ns.tprint("Faction Manager requires Singularity API (Source-File 4)");
+        ns.tprint("Showing the manual steps for the current augmentation plan instead:");
+        showManualSteps();
+        return;
+    }
+
+    let currentGoal = null; // { faction, workType, goal, augs }
+
+    while (true) {
+        try {
+            const plan = loadPlan();
+            if (plan) {
+                acceptInvitations(plan);
+                tendFactionWork(plan);
+            } else {
+                ns.print(`Waiting for ${CONFIG.PLAN_FILE} - run managers/augmentation-planner.js`);
+            }
+        } catch (error) {
+            ns.print(`ERROR: Faction cycle failed: ${error.message}`);
+        }
+        await ns.sleep(CONFIG.LOOP_INTERVAL);
+    }
+
+    function loadPlan() {
+        try {
+            const content = ns.read(CONFIG.PLAN_FILE);
+            if (!content) return null;
+            const plan = JSON.parse(content);
+            return Array.isArray(plan.factions) ? plan : null;
+        } catch (error) {
+            ns.print(`Could not read augmentation plan: ${error.message}`);
+            return null;
+        }
+    }
+
+    function getEnemies(faction) {
+        try {
+            if (typeof ns.singularity.getFactionEnemies === 'function') {
+                return ns.singularity.getFactionEnemies(faction);
+            }
+        } catch (error) {
+            // Fall back to the static table
+        }
+        return CONFIG.CITY_ENEMIES[faction] || [];
+    }
+
+    function shouldJoin(faction, plan) {
+        // Only decline when joining would lock out a faction the plan ranks higher
+        const scores = new Map(plan.factions.map(f => [f.name, f.score]));
+        const ownScore = scores.has(faction) ? scores.get(faction) : -1;
+        const blocked = getEnemies(faction).filter(enemy => scores.has(enemy) && scores.get(enemy) >= ownScore);
+
+        if (blocked.length > 0) {
+            ns.print(`Skipping invitation from ${faction} - would lock out planned ${blocked.join(", ")}`);
+            return false;
+        }
+        return true;
+    }
+
+    function acceptInvitations(plan) {
+        for (const faction of ns.singularity.checkFactionInvitations()) {
+            if (!shouldJoin(faction, plan)) continue;
+            if (ns.singularity.joinFaction(faction)) {
+                ns.tprint(`Faction Manager: joined ${faction}`);
+            }
+        }
+    }
+
+    function getRepGoal(faction, owned) {
+        // Rep needed for every planned aug still missing; NeuroFlux Governor is always listed as owned once bought
+        const rep = ns.singularity.getFactionRep(faction.name);
+        const unmet = (faction.augs || []).filter(aug => !owned.includes(aug.name) && aug.repReq > rep);
+        if (unmet.length === 0) return null;
+
+        return {
+            faction: faction.name,
+            rep,
+            goal: Math.max(...unmet.map(aug => aug.repReq)),
+            nextRep: Math.min(...unmet.map(aug => aug.repReq)),
+            augs: unmet.map(aug => aug.name),
+        };
+    }
+
+    function pickFaction(plan) {
+        const joined = ns.getPlayer().factions;
+        const owned = ns.singularity.getOwnedAugmentations(true);
+
+        // Stick with the current faction until its rep goal is met
+        if (currentGoal && joined.includes(currentGoal.faction)) {
+            const faction = plan.factions.find(f => f.name === currentGoal.faction);
+            const goal = faction ? getRepGoal(faction, owned) : null;
+            if (goal) return goal;
+            ns.tprint(`Faction Manager: reached rep goal with ${currentGoal.faction}`);
+        }
+
+        // Otherwise the faction whose next planned aug is closest to unlocking
+        const goals = plan.factions
+            .filter(faction => joined.includes(faction.name))
+            .map(faction => ({ goal: getRepGoal(faction, owned), score: faction.score }))
+            .filter(entry => entry.goal)
+            .sort((a, b) => (a.goal.nextRep - a.goal.rep) - (b.goal.nextRep - b.goal.rep) || b.score - a.score);
+
+        return goals.length > 0 ? goals[0].goal : null;
+    }
+
+    function estimateRepRate(faction, workType, player) {
+        if (ns.fileExists("Formulas.exe", "home")) {
+            const favor = ns.singularity.getFactionFavor(faction);
+            return ns.formulas.work.factionGains(player, workType, favor).reputation;
+        }
+
+        return statWeight(workType, player.skills);
+    }
+
+    function statWeight(workType, s) {
+        // Relative rep rates from the game's work formulas (the shared scaling cancels out)
+        switch (workType) {
+            case "hacking": return s.hacking;
+            case "field": return 0.9 * (s.hacking + s.strength + s.defense + s.dexterity + s.agility + s.charisma) / 5.5;
+            case "security": return 0.9 * (s.hacking + s.strength + s.defense + s.dexterity + s.agility) / 4.5;
+            default: return 0;
+        }
+    }
+
+    function getBestWorkType(faction) {
+        let types = CONFIG.WORK_TYPES;
+        try {
+            if (typeof ns.singularity.getFactionWorkTypes === 'function') {
+                types = ns.singularity.getFactionWorkTypes(faction);
+            }
+        } catch (error) {
+            // Try every type; workForFaction rejects the ones the faction doesn't offer
+        }
+
+        const player = ns.getPlayer();
+        return [...types].sort((a, b) => estimateRepRate(faction, b, player) - estimateRepRate(faction, a, player));
+    }
+
+    function canTakeOverWork() {
+        const work = ns.singularity.getCurrentWork();
+        if (!work) return true;
+        if (work.type === "FACTION") return true;
+        return work.type === "CLASS" && CONFIG.INTERRUPT_TRAINING;
+    }
+
+    function tendFactionWork(plan) {
+        const goal = pickFaction(plan);
+        const work = ns.singularity.getCurrentWork();
+
+        if (!goal) {
+            // Nothing left to earn: free the player for the stat grinder
+            if (currentGoal && work && work.type === "FACTION") {
+                ns.singularity.stopAction();
+                ns.print("All planned faction rep goals met - stopped faction work");
+            }
+            currentGoal = null;
+            return;
+        }
+
+        if (!canTakeOverWork()) {
+            ns.print(`Player busy with ${work.type} - not starting work for ${goal.faction}`);
+            return;
+        }
+
+        const alreadyWorking = work && work.type === "FACTION" && work.factionName === goal.faction;
+        if (!alreadyWorking || !currentGoal || currentGoal.faction !== goal.faction) {
+            for (const workType of getBestWorkType(goal.faction)) {
+                if (ns.singularity.workForFaction(goal.faction, workType, CONFIG.FOCUS)) {
+                    ns.tprint(`Faction Manager: working ${workType} for ${goal.faction} toward ${ns.formatNumber(goal.goal, 0)} rep`);
+                    goal.workType = workType;
+                    break;
+                }
+            }
+            if (!goal.workType) {
+                ns.print(`ERROR: Could not start any work for ${goal.faction}`);
+                return;
+            }
+        } else {
+            goal.workType = work.factionWorkType;
+        }
+
+        currentGoal = goal;
+        ns.print(
+            `${goal.faction}: ${ns.formatNumber(goal.rep, 0)} / ${ns.formatNumber(goal.goal, 0)} rep ` +
+                `(${goal.augs.length} planned augs locked)`
+        );
+    }
+
+    function showManualSteps() {
+        const plan = loadPlan();
+        if (!plan) {
+            ns.tprint(`No augmentation plan found - run managers/augmentation-planner.js first`);
+            return;
+        }
+
+        const player = ns.getPlayer();
+        const workType = CONFIG.WORK_TYPES.reduce((best, type) =>
+            statWeight(type, player.skills) > statWeight(best, player.skills) ? type : best);
+        const planned = new Set(plan.factions.map(f => f.name));
+
+        ns.tprint("=== MANUAL FACTION STEPS ===");
+        plan.factions.slice(0, CONFIG.MANUAL_STEPS_SHOWN).forEach((faction, i) => {
+            const augs = faction.augs || [];
+            const goal = augs.length > 0 ? Math.max(...augs.map(aug => aug.repReq)) : 0;
+            ns.tprint(`${i + 1}. ${faction.name}`);
+
+            if (!player.factions.includes(faction.name)) {
+                ns.tprint(`  Join: ${CONFIG.JOIN_HINTS[faction.name] || "see the requirements in the Factions tab"}`);
+                ns.tprint("  Then accept the invitation in the Factions tab");
+                const locked = (CONFIG.CITY_ENEMIES[faction.name] || []).filter(enemy => planned.has(enemy));
+                if (locked.length > 0) {
+                    ns.tprint(`  WARNING: joining locks you out of planned ${locked.join(", ")}`);
+                }
+            }
+
+            if (goal > 0) {
+                ns.tprint(`  Work: Factions → ${faction.name} → ${workType} work until ${ns.formatNumber(goal, 0)} rep`);
+                ns.tprint(`  Unlocks: ${augs.map(aug => aug.name).slice(0, 3).join(", ")}${augs.length > 3 ? ", ..." : ""}`);
+            } else {
+                ns.tprint(`  Work: Factions → ${faction.name} → ${workType} work until the augs you want unlock`);
+            }
+        });
+    }
+}
@@ -1,3 +1,5 @@
+import { CHANNELS, publish } from "../lib/bus.js";
+
 /** @param {NS} ns */
 export async function main(ns) {
     const CONFIG = {
@@ -30,7 +32,6 @@ export async function main(ns) {
 
         // HUD settings
         UPDATE_HUD: true,
-        HUD_PORT: 5
     };
 
     ns.disableLog("sleep");
@@ -138,8 +139,7 @@ export async function main(ns) {
             lastUpdate: Date.now()
         };
 
-        ns.clearPort(CONFIG.HUD_PORT);
-        ns.writePort(CONFIG.HUD_PORT, JSON.stringify(completionHudData));
+        publish(ns, CHANNELS.GO, completionHudData);
         ns.print("Updated HUD with session completion data");
     }
 
@@ -660,8 +660,7 @@ export async function main(ns) {
                 lastUpdate: Date.now()
             };
 
-            ns.clearPort(CONFIG.HUD_PORT);
-            ns.writePort(CONFIG.HUD_PORT, JSON.stringify(hudData));
+            publish(ns, CHANNELS.GO, hudData);
         } catch (error) {
             ns.print(`Could not update HUD: ${error.message}`);
         }
@@ -1,3 +1,6 @@
+import { PRIORITY, launch } from "../lib/ram-allocator.js";
+import { NETWORK_EVENT, NETWORK_FILE, emitNetworkEvents, loadNetwork, refreshHost, saveNetwork } from "../lib/network.js";
+
 /** @param {NS} ns */
 export async function main(ns) {
     // Configuration object for easy management of constants
@@ -10,26 +13,34 @@ export async function main(ns) {
             { name: "HTTPWorm.exe", action: ns.httpworm },
             { name: "SQLInject.exe", action: ns.sqlinject },
         ],
-        BOT_SCRIPT: "workers/bot-worker.js",
-        SERVER_INFO_FILE: "/servers/server_info.txt",
+        WORKER_SCRIPTS: ["workers/hack.js", "workers/grow.js", "workers/weaken.js"],
+        LEGACY_BOT_SCRIPT: "workers/bot-worker.js",
         BACKDOOR_SCRIPT: "discovery/backdoor-manager.js",
         DISCOVERY_SCRIPT: "discovery/server-discovery.js",
     };
 
-    const BOT_SCRIPT_RAM = ns.getScriptRam(CONFIG.BOT_SCRIPT);
+    const WORKER_SCRIPT_RAM = Math.max(...CONFIG.WORKER_SCRIPTS.map(script => ns.getScriptRam(script)));
     const PLAYER_HACK_LEVEL = ns.getHackingLevel();
     const PLAYER_PROGRAMS = getPlayerPrograms();
 
     // Run server discovery and get updated server info
     await runServerDiscovery();
-    const serverInfo = await getServerInfo();
+    const network = await getNetwork();
+    const rootEvents = [];
+
+    // Process all servers: attempt to gain root access and copy batch workers (the batcher launches them)
+    const { serversRooted, serversDeployed, errors } = processServers(network.servers);
 
-    // Process all servers: attempt to gain root access and deploy scripts
-    const { serversRooted, serversDeployed, errors } = processServers(serverInfo);
+    // Newly rooted hosts were refreshed in the model; save so other scripts see them before the next discovery
+    // (which then has nothing to diff, so the root events are emitted here)
+    if (serversRooted > 0) {
+        saveNetwork(ns, network);
+        emitNetworkEvents(ns, rootEvents);
+    }
 
     // Log summary of operations
     ns.tprint(
-        `Summary: Rooted ${serversRooted} new servers, deployed scripts on ${serversDeployed} servers. Encountered ${errors} errors.`
+        `Summary: Rooted ${serversRooted} new servers, deployed workers to ${serversDeployed} servers. Encountered ${errors} errors.`
     );
 
     // Attempt to run the backdoor manager script
@@ -55,15 +66,14 @@ export async function main(ns) {
 
             if (!pid) {
                 // Not running, start it
-                pid = ns.exec(CONFIG.DISCOVERY_SCRIPT, CONFIG.HOME_SERVER, 1);
+                pid = launchManager(CONFIG.DISCOVERY_SCRIPT);
                 if (pid === 0) {
                     // Check if insufficient RAM or script doesn't exist
                     if (!ns.fileExists(CONFIG.DISCOVERY_SCRIPT, CONFIG.HOME_SERVER)) {
                         throw new Error(`Script ${CONFIG.DISCOVERY_SCRIPT} not found`);
                     }
                     const scriptRam = ns.getScriptRam(CONFIG.DISCOVERY_SCRIPT);
-                    const availableRam = ns.getServerMaxRam(CONFIG.HOME_SERVER) - ns.getServerUsedRam(CONFIG.HOME_SERVER);
-                    throw new Error(`Failed to execute ${CONFIG.DISCOVERY_SCRIPT}. Need ${scriptRam}GB, have ${availableRam}GB available`);
+                    throw new Error(`Failed to execute ${CONFIG.DISCOVERY_SCRIPT}. Need ${scriptRam}GB, the RAM allocator found no room on ${CONFIG.HOME_SERVER}`);
                 }
             } else {
                 ns.tprint("Server discovery already running, waiting for completion...");
@@ -84,20 +94,16 @@ export async function main(ns) {
         }
     }
 
-    async function getServerInfo() {
-        // Read and parse the server info file
-        try {
-            const fileContents = ns.read(CONFIG.SERVER_INFO_FILE);
-            if (!fileContents) {
-                throw new Error(`${CONFIG.SERVER_INFO_FILE} is empty or doesn't exist.`);
-            }
-            const serverInfo = JSON.parse(fileContents);
-            ns.tprint(`Successfully parsed server info. Found ${serverInfo.length} servers.`);
-            return serverInfo;
-        } catch (error) {
+    async function getNetwork() {
+        // Load the network model written by discovery
+        const network = loadNetwork(ns);
+        if (network.servers.length === 0) {
+            const error = new Error(`${NETWORK_FILE} is empty or doesn't exist.`);
             ns.tprint(`ERROR: Failed to read or parse server info. Error: ${error.message}`);
             throw error;
         }
+        ns.tprint(`Successfully loaded the network model. Found ${network.servers.length} servers.`);
+        return network;
     }
 
     function processServers(serverInfo) {
@@ -130,6 +136,8 @@ export async function main(ns) {
             ns.nuke(server.hostname);
             if (ns.hasRootAccess(server.hostname)) {
                 ns.tprint(`Gained root access on ${server.hostname}`);
+                refreshHost(ns, network, server.hostname);
+                rootEvents.push({ type: NETWORK_EVENT.ROOT_GAINED, hostname: server.hostname, time: Date.now() });
                 return true;
             }
         }
@@ -137,7 +145,7 @@ export async function main(ns) {
     }
 
     function deployScript(server) {
-        // Deploy and run the bot script on a server
+        // Copy the batch worker scripts to a server so the batcher can use its RAM
         if (!ns.hasRootAccess(server.hostname)) {
             ns.print(`No root access on ${server.hostname}. Skipping deployment.`);
             return false;
@@ -146,73 +154,38 @@ export async function main(ns) {
             ns.print(`${server.hostname} cannot run scripts. Skipping deployment.`);
             return false;
         }
-        if (server.maxRam < BOT_SCRIPT_RAM) {
+        if (server.maxRam < WORKER_SCRIPT_RAM) {
             ns.print(`${server.hostname} has insufficient RAM (${server.maxRam} GB). Skipping deployment.`);
             return false;
         }
 
-        // Check if the bot script exists on the home server
-        if (!ns.fileExists(CONFIG.BOT_SCRIPT, CONFIG.HOME_SERVER)) {
-            ns.tprint(`ERROR: Bot script ${CONFIG.BOT_SCRIPT} not found on ${CONFIG.HOME_SERVER}.`);
+        // Check if the worker scripts exist on the home server
+        const missing = CONFIG.WORKER_SCRIPTS.filter(script => !ns.fileExists(script, CONFIG.HOME_SERVER));
+        if (missing.length > 0) {
+            ns.tprint(`ERROR: Worker scripts ${missing.join(", ")} not found on ${CONFIG.HOME_SERVER}.`);
             return false;
         }
 
-        // Attempt to copy the script to the target server
-        if (!ns.scp(CONFIG.BOT_SCRIPT, server.hostname)) {
-            ns.tprint(`ERROR: Failed to copy ${CONFIG.BOT_SCRIPT} to ${server.hostname}.`);
-            return false;
-        }
-
-        // Kill the script if it's already running
-        if (ns.scriptRunning(CONFIG.BOT_SCRIPT, server.hostname)) {
-            ns.scriptKill(CONFIG.BOT_SCRIPT, server.hostname);
-        }
-
-        const threads = calculateThreads(server.hostname);
-        const pid = ns.exec(CONFIG.BOT_SCRIPT, server.hostname, threads);
-        if (pid !== 0) {
-            ns.tprint(`Deployed ${CONFIG.BOT_SCRIPT} on ${server.hostname} with ${threads} threads (PID: ${pid})`);
-            return true;
-        } else {
-            ns.tprint(`ERROR: Failed to execute ${CONFIG.BOT_SCRIPT} on ${server.hostname}.`);
+        // Attempt to copy the scripts to the target server
+        if (!ns.scp(CONFIG.WORKER_SCRIPTS, server.hostname, CONFIG.HOME_SERVER)) {
+            ns.tprint(`ERROR: Failed to copy worker scripts to ${server.hostname}.`);
             return false;
         }
-    }
-
-    function calculateThreads(server) {
-        // Calculate the number of threads to use for the bot script
-        const availableRam = ns.getServerMaxRam(server) - ns.getServerUsedRam(server);
-        const availableThreads = Math.floor(availableRam / BOT_SCRIPT_RAM);
-
-        if (ns.fileExists("Formulas.exe", "home")) {
-            try {
-                const serverObj = ns.getServer(server);
-                const player = ns.getPlayer();
-
-                const growThreads = Math.ceil(ns.growthAnalyze(server, 2));
-                const weakenThreadsForGrow = Math.ceil(growThreads / 12.5);
-                const hackThreads = Math.floor(0.5 / ns.formulas.hacking.hackPercent(serverObj, player));
-                const weakenThreadsForHack = Math.ceil(hackThreads / 25);
 
-                const totalThreads = growThreads + weakenThreadsForGrow + hackThreads + weakenThreadsForHack;
-
-                return Math.min(totalThreads, availableThreads);
-            } catch (error) {
-                ns.print(`Error in advanced thread calculation: ${error}. Falling back to simple calculation.`);
-            }
+        // Stop the old looping bot worker so its RAM is free for batches
+        if (ns.scriptRunning(CONFIG.LEGACY_BOT_SCRIPT, server.hostname)) {
+            ns.scriptKill(CONFIG.LEGACY_BOT_SCRIPT, server.hostname);
         }
 
-        return Math.max(availableThreads, 1);
+        ns.print(`Deployed worker scripts to ${server.hostname}`);
+        return true;
     }
 
     async function runBackdoorManager() {
         // Attempt to run the backdoor manager script if it exists and there's enough RAM
         if (ns.fileExists(CONFIG.BACKDOOR_SCRIPT, CONFIG.HOME_SERVER)) {
-            const scriptRam = ns.getScriptRam(CONFIG.BACKDOOR_SCRIPT);
-            const availableRam = ns.getServerMaxRam(CONFIG.HOME_SERVER) - ns.getServerUsedRam(CONFIG.HOME_SERVER);
-            if (availableRam >= scriptRam) {
+            if (launchManager(CONFIG.BACKDOOR_SCRIPT) !== 0) {
                 ns.tprint("Running backdoor manager...");
-                ns.exec(CONFIG.BACKDOOR_SCRIPT, CONFIG.HOME_SERVER, 1);
             } else {
                 ns.tprint("Not enough RAM to run backdoor manager.");
             }
@@ -220,4 +193,9 @@ export async function main(ns) {
             ns.tprint("Backdoor manager script not found.");
         }
     }
+
+    function launchManager(script) {
+        // Run a helper script on home through the shared RAM allocator
+        return launch(ns, { script, splittable: false, priority: PRIORITY.MANAGER, hosts: [CONFIG.HOME_SERVER] });
+    }
 }
@@ -1,231 +1,291 @@
-/** @param {NS} ns */
+import { CHANNELS, publish, readData } from "../lib/bus.js";
+import {
+    ACTION, HASH_UPGRADE, MONEY_PER_HASH, createProductionModel, getBreakeven, getCheapestCacheUpgrade, isServerMode,
+    listCandidates, performAction, pickBest,
+} from "../lib/hacknet.js";
+
+/**
+ * Grow the hacknet farm by always buying the node or upgrade with the most added production per
+ * dollar, skipping anything that wouldn't pay for itself within the payback horizon.
+ *
+ * With Hacknet Servers (BitNode 9 / SF9) hashes are spent by CONFIG.HASH_POLICY: the first entry
+ * whose condition holds gets every hash until it is bought, and lower entries wait. Entries that
+ * cost more than the storable share of hash capacity are skipped and queue a cache upgrade ahead
+ * of the other purchases, as long as it pays back in time.
+ * Hashes are sold for money whenever storage is nearly full, so production is never wasted at
+ * the cap.
+ *
+ * Usage: run managers/hacknet-farm.js [--horizon <hours>]   keep investing
+ *        run managers/hacknet-farm.js --report              print the plan and breakeven, then exit
+ *
+ * @param {NS} ns
+ */
 export async function main(ns) {
     // Disable default logging for frequently called functions to reduce clutter
     ns.disableLog("sleep");
     ns.disableLog("getServerMoneyAvailable");
 
+    const CONFIG = {
+        MAX_PAYBACK_HOURS: 4, // Ignore spending that takes longer than this to earn back
+        IDLE_INTERVAL: 60000, // Re-check when nothing pays back in time (multipliers change)
+        WAIT_INTERVAL: 2000,
+        REPORT_SIZE: 5,
+        // Hash spending, highest priority first. when: always | targets (batcher has targets) |
+        // studying / training (stat grinder is on a university / gym stat) | corporation | bladeburner.
+        // maxLevel caps how many times an upgrade is bought (its hash cost grows each time).
+        HASH_POLICY: [
+            { upgrade: HASH_UPGRADE.CORP_RESEARCH, when: "corporation" },
+            { upgrade: HASH_UPGRADE.BLADEBURNER_RANK, when: "bladeburner" },
+            { upgrade: HASH_UPGRADE.STUDYING, when: "studying", maxLevel: 20 },
+            { upgrade: HASH_UPGRADE.GYM, when: "training", maxLevel: 20 },
+            { upgrade: HASH_UPGRADE.MIN_SECURITY, when: "targets" },
+            { upgrade: HASH_UPGRADE.MAX_MONEY, when: "targets" },
+            { upgrade: HASH_UPGRADE.SELL, when: "always" },
+        ],
+        HASH_OVERFLOW_SHARE: 0.9, // Sell hashes above this share of capacity
+        STAT_GRINDER_STALE: 5 * 60 * 1000, // Older grinder updates mean it isn't running
+        MIN_SECURITY_FLOOR: 1, // The game never lowers minimum security below this
+    };
+
     // Script parameters
     const NODE_LIMIT = ns.hacknet.maxNumNodes();
-    const NODE_MAX_LEVEL = 200;
-    const NODE_MAX_RAM = 8; // RAM is multiplied by 8. Min is 8GB. Max is 64GB.
-    const NODE_MAX_CORES = 16;
     // Dynamic chunk sizes based on money available
     const money = ns.getServerMoneyAvailable("home");
-    const NODE_CHUNK_SIZE = money < 100_000 ? 1 : 3; // Buy one at a time early game
     const LEVEL_CHUNK_SIZE = money < 100_000 ? 2 : 5; // Smaller upgrades early game
-    const MONEY_RESERVE = Math.max(10_000, ns.getServerMoneyAvailable("home") * 0.1); // Keep 10% in reserve, minimum 10k
+    const MONEY_RESERVE = Math.max(10_000, money * 0.1); // Keep 10% in reserve, minimum 10k
 
-    // Sets to keep track of statuses
-    let isSetup = true;
-    const completedNodes = new Set();
-    const upgradableNodes = new Set(
-        Array.from({ length: ns.hacknet.numNodes() }, (_, i) => i).filter((node) => !checkNodeCompletion(node))
-    );
+    const horizonIndex = ns.args.indexOf("--horizon");
+    const horizonHours = horizonIndex !== -1 ? Number(ns.args[horizonIndex + 1]) : CONFIG.MAX_PAYBACK_HOURS;
+    if (!(horizonHours > 0)) {
+        ns.tprint(`ERROR: --horizon needs a number of hours, got ${ns.args[horizonIndex + 1]}`);
+        return;
+    }
+    const maxPayback = horizonHours * 3600;
 
     // Function to get available money for spending, accounting for reserve
     const getMyMoney = () => Math.max(0, Math.floor(ns.getServerMoneyAvailable("home") - MONEY_RESERVE));
 
-    // Action queue for prioritizing upgrades
-    const actionQueue = [];
-
-    // Node Status Functions
-    function checkNodeCompletion(node) {
-        const nodeStats = ns.hacknet.getNodeStats(node);
-        const isComplete =
-            nodeStats.level == NODE_MAX_LEVEL && nodeStats.ram == NODE_MAX_RAM * 8 && nodeStats.cores == NODE_MAX_CORES;
-
-        if (isComplete) {
-            completedNodes.add(node);
-            if (!isSetup) upgradableNodes.delete(node);
-            ns.toast(nodeStats.name + " Has been fully upgraded!!", "success", 2000);
-            return true;
+    // Hacknet Servers report hashes; everything here is in $ (hashes at their sell price)
+    function getProduction() {
+        const value = isServerMode(ns) ? MONEY_PER_HASH : 1;
+        let production = 0;
+        let totalProduced = 0;
+        for (let i = 0; i < ns.hacknet.numNodes(); i++) {
+            const stats = ns.hacknet.getNodeStats(i);
+            production += stats.production * value;
+            totalProduced += stats.totalProduction * value;
         }
-        return false;
+        return { production, totalProduced };
     }
 
-    function findUpgradableNodes() {
-        return upgradableNodes;
+    // Hash Spending Functions
+    function getHashConditions() {
+        const plan = readData(ns, CHANNELS.TARGET_PLAN);
+        const grinder = readData(ns, CHANNELS.STAT_GRINDER);
+        const grinding = grinder && grinder.isActive && grinder.currentTarget &&
+            Date.now() - grinder.lastUpdate < CONFIG.STAT_GRINDER_STALE ? grinder.currentTarget.type : null;
+        const targets = plan && Array.isArray(plan.targets) ? plan.targets.map(target => target.hostname) : [];
+
+        return {
+            always: true,
+            targets: targets.length > 0,
+            targetList: targets,
+            studying: grinding === "hacking" || grinding === "charisma",
+            training: ["strength", "defense", "dexterity", "agility"].includes(grinding),
+            // These APIs throw without the matching Source-File
+            corporation: tryApi(() => ns.corporation.hasCorporation()),
+            bladeburner: tryApi(() => ns.bladeburner.inBladeburner()),
+        };
     }
 
-    function updateNodeStatus() {
-        for (let i = 0; i < ns.hacknet.numNodes(); i++) {
-            if (!completedNodes.has(i)) {
-                checkNodeCompletion(i);
-            }
+    function tryApi(check) {
+        try {
+            return Boolean(check());
+        } catch (error) {
+            return false;
         }
     }
 
-    // Node Purchase and Upgrade Functions
-    async function purchaseNodeChunk() {
-        let purchaseCount = 0;
+    // Target for an upgrade: "" when it takes none, null when it can't be bought right now
+    function getHashTarget(entry, conditions) {
+        if (!conditions[entry.when]) return null;
+        if (entry.maxLevel !== undefined && ns.hacknet.getHashUpgradeLevel(entry.upgrade) >= entry.maxLevel) return null;
+        if (entry.upgrade === HASH_UPGRADE.MIN_SECURITY) {
+            return conditions.targetList.find(host => ns.getServerMinSecurityLevel(host) > CONFIG.MIN_SECURITY_FLOOR) ?? null;
+        }
+        if (entry.upgrade === HASH_UPGRADE.MAX_MONEY) {
+            return conditions.targetList.find(host => ns.getServerMaxMoney(host) > 0) ?? null;
+        }
+        return "";
+    }
 
-        // We want to wait until all nodes are purchased before moving on
-        for (let i = 0; i < NODE_CHUNK_SIZE && ns.hacknet.numNodes() < NODE_LIMIT; i++) {
-            let nodePurchaseCost = ns.hacknet.getPurchaseNodeCost();
+    function spendHashes() {
+        const conditions = getHashConditions();
+        const storable = getStorableHashes();
+        const spent = {};
+        let wanted = 0; // Cost of a wanted upgrade that doesn't fit in storage yet
+
+        for (const entry of CONFIG.HASH_POLICY) {
+            let target = getHashTarget(entry, conditions);
+            let cost = ns.hacknet.hashCost(entry.upgrade);
+            if (target === null) continue;
+            // The overflow sell below keeps storage under this, so anything dearer needs a bigger cache
+            if (cost > storable) {
+                wanted = Math.max(wanted, cost);
+                continue;
+            }
 
-            if (nodePurchaseCost < getMyMoney() && ns.hacknet.numNodes() < NODE_LIMIT) {
-                const newNode = ns.hacknet.purchaseNode();
-                upgradableNodes.add(newNode);
-                ns.toast("Purchased a new node!", "success", 2000);
-                ++purchaseCount;
+            while (target !== null && cost <= ns.hacknet.numHashes()) {
+                if (!ns.hacknet.spendHashes(entry.upgrade, target)) break;
+                spent[entry.upgrade] = (spent[entry.upgrade] || 0) + 1;
+                target = getHashTarget(entry, conditions);
+                cost = ns.hacknet.hashCost(entry.upgrade);
             }
+            if (target !== null && cost <= storable) break; // Saving up for this one; lower entries wait
+        }
 
-            ns.print(`Node Cost: ${nodePurchaseCost}, MyMoney: ${getMyMoney()}`);
+        // Never let production go to waste at the cap
+        const sellCost = ns.hacknet.hashCost(HASH_UPGRADE.SELL);
+        const overflow = ns.hacknet.numHashes() - storable;
+        const sells = Math.ceil(overflow / sellCost);
+        if (overflow > 0 && ns.hacknet.spendHashes(HASH_UPGRADE.SELL, "", sells)) {
+            spent[HASH_UPGRADE.SELL] = (spent[HASH_UPGRADE.SELL] || 0) + sells;
+        }
 
-            await ns.sleep(2000);
+        for (const [upgrade, count] of Object.entries(spent)) {
+            ns.print(`Spent hashes: ${upgrade} x${count}`);
         }
+        return { spent, wanted };
     }
 
-    function getLevelUpgradeAmount(currentLevel) {
-        if (currentLevel === 1) {
-            return LEVEL_CHUNK_SIZE - 1;
-        }
-        return Math.min(LEVEL_CHUNK_SIZE, NODE_MAX_LEVEL - currentLevel);
+    // Hashes kept after the overflow sell
+    function getStorableHashes() {
+        return ns.hacknet.hashCapacity() * CONFIG.HASH_OVERFLOW_SHARE;
     }
 
-    function getUpgradeCost(node, nodeStats, upgradeType) {
-        const maxValues = {
-            level: NODE_MAX_LEVEL,
-            ram: NODE_MAX_RAM * 8,
-            cores: NODE_MAX_CORES,
+    // Bigger caches let the policy reach upgrades that cost more than we can store. A cache adds
+    // no production, so it is valued at the farm's output: without it those hashes only ever sell.
+    function getCacheCandidate(wanted) {
+        if (wanted <= getStorableHashes()) return null;
+        const cache = getCheapestCacheUpgrade(ns);
+        const { production } = getProduction();
+        if (!cache || production <= 0) return null;
+        return {
+            type: ACTION.CACHE, node: cache.node, amount: 1, cost: cache.cost,
+            gain: production, score: production / cache.cost, payback: cache.cost / production,
         };
-        const currentValue = nodeStats[upgradeType];
-
-        if (currentValue >= maxValues[upgradeType]) return Infinity;
+    }
 
-        const costFunction = {
-            level: () => ns.hacknet.getLevelUpgradeCost(node, getLevelUpgradeAmount(currentValue)),
-            ram: () => ns.hacknet.getRamUpgradeCost(node),
-            cores: () => ns.hacknet.getCoreUpgradeCost(node),
-        }[upgradeType];
+    function describe(candidate) {
+        const target = candidate.type === ACTION.NODE ? "new node" : `${candidate.type} +${candidate.amount} on node ${candidate.node}`;
+        return `${target} for $${ns.formatNumber(candidate.cost, 2)} ` +
+            `(+$${ns.formatNumber(candidate.gain, 2)}/s, pays back in ${formatDuration(candidate.payback)})`;
+    }
 
-        return Math.ceil(costFunction());
+    function formatDuration(seconds) {
+        if (!Number.isFinite(seconds)) return "never";
+        if (seconds < 60) return `${Math.ceil(seconds)}s`;
+        const minutes = Math.floor(seconds / 60);
+        return minutes < 60 ? `${minutes}m` : `${Math.floor(minutes / 60)}h ${minutes % 60}m`;
     }
 
-    function nodePurchaseOptions(node) {
-        if (checkNodeCompletion(node)) return;
-
-        let nodeStats = ns.hacknet.getNodeStats(node);
-        let levelAmount = getLevelUpgradeAmount(nodeStats.level);
-        let levelCost = getUpgradeCost(node, nodeStats, "level");
-        let ramCost = getUpgradeCost(node, nodeStats, "ram");
-        let coreCost = getUpgradeCost(node, nodeStats, "cores");
-
-        if (levelCost !== Infinity && nodeStats.level < NODE_MAX_LEVEL)
-            addAction(node, levelCost, {
-                action: ns.hacknet.upgradeLevel,
-                args: [node, levelAmount],
-                name: "purchaseLevel",
-            });
-        if (ramCost !== Infinity && nodeStats.ram < NODE_MAX_RAM * 8)
-            addAction(node, ramCost, {
-                action: ns.hacknet.upgradeRam,
-                args: [node],
-                name: "purchaseRAM",
-            });
-        if (coreCost !== Infinity && nodeStats.cores < NODE_MAX_CORES)
-            addAction(node, coreCost, {
-                action: ns.hacknet.upgradeCore,
-                args: [node],
-                name: "purchaseCore",
-            });
+    function countMaxed(candidates) {
+        const upgradable = new Set(candidates.filter(c => c.type !== ACTION.NODE).map(c => c.node));
+        return ns.hacknet.numNodes() - upgradable.size;
     }
 
-    // Action Queue Functions
-    function addAction(node, cost, actionObj) {
-        // Check if the action for the node with the same action already exists in the queue
-        const existingIndex = actionQueue.findIndex(
-            (item) => item.node === node && item.action.name === actionObj.name
-        );
-        if (existingIndex !== -1) {
-            // If the cost is different, update it
-            if (actionQueue[existingIndex].cost !== cost) {
-                actionQueue[existingIndex].cost = cost;
-                actionQueue[existingIndex].action = actionObj;
-                // Re-sort the queue by cost
-                actionQueue.sort((a, b) => a.cost - b.cost);
-            }
-        } else {
-            // If it doesn't exist, add the new entry
-            actionQueue.push({ node, cost, action: actionObj });
-            actionQueue.sort((a, b) => a.cost - b.cost);
-        }
+    function publishStatus(model, candidates, next, hashes) {
+        // Summary for the dashboard's hacknet panel
+        const { production, totalProduced } = getProduction();
+        publish(ns, CHANNELS.HACKNET, {
+            nodes: ns.hacknet.numNodes(),
+            maxNodes: NODE_LIMIT,
+            completed: countMaxed(candidates),
+            production,
+            totalProduced,
+            estimate: model.source,
+            horizon: maxPayback,
+            nextAction: next ? { name: next.type, node: next.node, cost: next.cost, gain: next.gain, payback: next.payback } : null,
+            breakeven: getBreakeven(ns, production),
+            hashes: model.serverMode ? {
+                count: ns.hacknet.numHashes(),
+                capacity: ns.hacknet.hashCapacity(),
+                rate: production / MONEY_PER_HASH,
+                spent: hashes.spent,
+                wanted: hashes.wanted,
+            } : null,
+            lastUpdate: Date.now(),
+        });
     }
 
-    function getNextAction() {
-        if (actionQueue.length === 0) return null;
-        return actionQueue.shift();
+    function printReport() {
+        const model = createProductionModel(ns);
+        const candidates = listCandidates(ns, model, LEVEL_CHUNK_SIZE).sort((a, b) => b.score - a.score);
+        const { production } = getProduction();
+        const breakeven = getBreakeven(ns, production);
+
+        const lines = [
+            `Hacknet farm: ${ns.hacknet.numNodes()}/${NODE_LIMIT} ${model.serverMode ? "servers" : "nodes"} ` +
+                `producing $${ns.formatNumber(production, 2)}/s${model.serverMode ? " in hashes" : ""} (${model.source} model)`,
+            ...(model.serverMode ? [`  Hashes: ${ns.formatNumber(ns.hacknet.numHashes(), 0)}/${ns.formatNumber(ns.hacknet.hashCapacity(), 0)} stored`] : []),
+            `  Since install: spent $${ns.formatNumber(breakeven.spent, 2)}, earned $${ns.formatNumber(breakeven.earned, 2)}`,
+            breakeven.net >= 0 ?
+                `  Farm has paid for itself (net +$${ns.formatNumber(breakeven.net, 2)})` :
+                `  Breakeven in ${formatDuration(breakeven.seconds)} at current production`,
+            `  Best options (horizon ${formatDuration(maxPayback)}):`,
+            ...candidates.slice(0, CONFIG.REPORT_SIZE).map(candidate =>
+                `    ${candidate.payback <= maxPayback ? "" : "[too slow] "}${describe(candidate)}`),
+        ];
+        if (candidates.length === 0) lines.push("    Nothing left to buy");
+        ns.tprint(lines.join("\n"));
     }
 
-    if (ns.hacknet.numNodes() < 1) await purchaseNodeChunk();
-    isSetup = false;
+    if (ns.args.includes("--report")) {
+        printReport();
+        return;
+    }
 
     // Main Loop
     while (true) {
-        const numNodes = ns.hacknet.numNodes();
-
-        updateNodeStatus();
-
-        ns.print(
-            `Current nodes: ${numNodes}, ` +
-                `Completed nodes: ${completedNodes.size}, ` +
-                `Upgradable nodes: ${upgradableNodes.size}`
-        );
-
-        // Check if we've maxed out all possible hacknets
-        if (numNodes == completedNodes.length && numNodes >= NODE_LIMIT) {
+        // Rebuilt every pass: calibration and costs move with each purchase
+        const model = createProductionModel(ns);
+        const hashes = model.serverMode ? spendHashes() : { spent: {}, wanted: 0 };
+
+        const candidates = listCandidates(ns, model, LEVEL_CHUNK_SIZE);
+        // A cache the hash policy is waiting on goes first, through the same payback and money checks
+        const cache = model.serverMode ? pickBest([getCacheCandidate(hashes.wanted)].filter(Boolean), maxPayback) : null;
+        const next = cache ?? pickBest(candidates, maxPayback);
+        publishStatus(model, candidates, next, hashes);
+
+        // Servers keep producing hashes to spend after the last upgrade
+        if (candidates.length === 0 && !model.serverMode) {
             ns.alert(`Congratulations: You have maxed out all ${NODE_LIMIT} nodes. The hacknet farm will now close.`);
             return;
         }
 
-        // Purchase new nodes if needed
-        if (numNodes == completedNodes.length && numNodes < NODE_LIMIT) {
-            await purchaseNodeChunk();
-            continue; // Restart the loop to re-evaluate after purchase
-        }
-
-        // Queue upgrade options for all upgradable nodes
-        findUpgradableNodes().forEach(nodePurchaseOptions);
-
-        // Process the action queue
-        let next = getNextAction();
         if (!next) {
-            ns.print("No actions available. Waiting before checking again.");
-            await ns.sleep(5000);
+            ns.print(`Nothing pays back within ${formatDuration(maxPayback)}. Waiting before checking again.`);
+            // Hashes still need spending while we wait
+            await ns.sleep(model.serverMode ? CONFIG.WAIT_INTERVAL * 5 : CONFIG.IDLE_INTERVAL);
             continue;
         }
 
-        // Wait until we have enough money for the next action
-        let newNodePurchased = false;
-        while (next.cost > getMyMoney()) {
-            // Check if we can purchase a new node while waiting
-            if (getMyMoney() > ns.hacknet.getPurchaseNodeCost() && numNodes < NODE_LIMIT) {
-                const newNode = ns.hacknet.purchaseNode();
-                if (newNode !== -1) {
-                    upgradableNodes.add(newNode);
-                    ns.print(`Purchased new node ${newNode} while waiting for funds.`);
-                    newNodePurchased = true;
-                    break; // Exit the loop to re-evaluate actions
-                }
-            }
-
-            ns.print(
-                `Waiting for ${next.cost - getMyMoney()} more money for the next action: ` +
-                    ` ${next.action.name} node-${next.node}.`
-            );
-            await ns.sleep(2000);
+        // Wait for the money, re-planning each time since production and costs may change meanwhile
+        if (next.cost > getMyMoney()) {
+            ns.print(`Waiting for $${ns.formatNumber(next.cost - getMyMoney(), 2)} more: ${describe(next)}`);
+            await ns.sleep(CONFIG.WAIT_INTERVAL);
+            continue;
         }
 
-        if (newNodePurchased) continue;
-
-        // Perform the action if we have enough money
-        if (next.cost <= getMyMoney()) {
-            try {
-                next.action.action(...next.action.args);
-                ns.print(`Performed action: ${next.action.name} on node ${next.node}`);
-            } catch (error) {
-                ns.print(`ERROR: Failed to perform action ${next.action.name}: ${error.message}`);
+        try {
+            if (performAction(ns, next)) {
+                ns.print(`Bought ${describe(next)}`);
+                if (next.type === ACTION.NODE) ns.toast("Purchased a new node!", "success", 2000);
+            } else {
+                ns.print(`ERROR: The game refused ${describe(next)}`);
             }
+        } catch (error) {
+            ns.print(`ERROR: Failed to perform action ${next.type}: ${error.message}`);
         }
 
         // Sleep to prevent excess cup usage
@@ -0,0 +1,180 @@
+import { CHANNELS, publish, readData } from "../lib/bus.js";
+import { HOME_UPGRADE, HOME_UPGRADE_SCRIPT, UPGRADE_SHOP, getHomeUpgrades, hasSingularity } from "../lib/home.js";
+import { PRIORITY, launch } from "../lib/ram-allocator.js";
+
+/**
+ * Upgrade home RAM and cores when they are the best marginal investment. Every option is scored
+ * in income per dollar: RAM (home or purchased servers) at what a GB earns on the best batch
+ * target, the hacknet farm's next step at the production it adds. Home RAM is weighted up
+ * because it also runs the managers and survives augmentation installs.
+ *
+ * With Source-File 4 managers/home-upgrade.js reads the real prices and buys the upgrade; without
+ * it costs are estimated and the player is told to visit Alpha Enterprises. This script never calls Singularity itself, so it stays small
+ * enough for an early home. While the reset manager runs this waits: it spends whatever is left
+ * before an install on home upgrades itself.
+ *
+ * Usage: run managers/home-manager.js [--once]   --once reports the comparison and exits
+ *
+ * @param {NS} ns
+ */
+export async function main(ns) {
+    const CONFIG = {
+        MONEY_SHARE: 0.5, // Share of current money one upgrade may use
+        HOME_RAM_WEIGHT: 2, // Home GB counts this many pserv GB
+        INTERVAL: 60000,
+        RESET_MANAGER: "managers/reset-manager.js",
+    };
+
+    ns.disableLog("ALL");
+
+    const once = ns.args.includes("--once");
+    let lastNotice = null; // Only tell the player about each upgrade once
+
+    /**
+     * Income per dollar of each home upgrade and of the best alternative. Without a target plan
+     * a GB can't be priced, so RAM is compared in GB per dollar and hacknet is left out.
+     */
+    function evaluate() {
+        const plan = readData(ns, CHANNELS.TARGET_PLAN);
+        const earnings = (plan && plan.targets || [])
+            .map(target => target.moneyPerSecPerGb)
+            .filter(value => Number.isFinite(value) && value > 0);
+        const priced = earnings.length > 0;
+        const valuePerGb = priced ? Math.max(...earnings) : 1;
+
+        const upgrades = getHomeUpgrades(ns).map(upgrade => {
+            const weight = upgrade.type === HOME_UPGRADE.RAM ? CONFIG.HOME_RAM_WEIGHT : 1;
+            return { ...upgrade, score: upgrade.equivalentRam * weight * valuePerGb / upgrade.cost };
+        }).filter(upgrade => Number.isFinite(upgrade.score))
+            .sort((a, b) => b.score - a.score);
+
+        const alternatives = [];
+        const fleet = ns.getPurchasedServers();
+        const pservMaxRam = ns.getPurchasedServerMaxRam();
+        const fleetMaxed = fleet.length >= ns.getPurchasedServerLimit() &&
+            fleet.every(hostname => ns.getServerMaxRam(hostname) >= pservMaxRam);
+        if (!fleetMaxed) {
+            // Server prices are linear in RAM, so any size gives the price of a GB
+            alternatives.push({ name: "purchased server RAM", score: pservMaxRam * valuePerGb / ns.getPurchasedServerCost(pservMaxRam) });
+        }
+
+        const hacknet = readData(ns, CHANNELS.HACKNET);
+        if (priced && hacknet && hacknet.nextAction && hacknet.nextAction.gain) {
+            alternatives.push({ name: `hacknet ${hacknet.nextAction.name}`, score: hacknet.nextAction.gain / hacknet.nextAction.cost });
+        }
+        const scored = alternatives.filter(alternative => Number.isFinite(alternative.score))
+            .sort((a, b) => b.score - a.score);
+
+        return { upgrades, alternative: scored[0] || null, priced };
+    }
+
+    function describe(upgrade) {
+        const change = upgrade.type === HOME_UPGRADE.RAM ?
+            `${ns.formatRam(upgrade.from)} → ${ns.formatRam(upgrade.to)}` :
+            `${upgrade.from} → ${upgrade.to} cores`;
+        return `home ${upgrade.type} ${change} for ${upgrade.estimated ? "~" : ""}$${ns.formatNumber(upgrade.cost, 2)}`;
+    }
+
+    function report({ upgrades, alternative, priced }) {
+        const unit = priced ? "$/s per $" : "GB per $";
+        ns.tprint(`Home upgrades (${hasSingularity(ns) ? "bought automatically" : `buy at ${UPGRADE_SHOP}`}):`);
+        for (const upgrade of upgrades) {
+            ns.tprint(`  ${describe(upgrade)}: ${upgrade.score.toExponential(2)} ${unit}`);
+        }
+        if (upgrades.length === 0) ns.tprint("  Home is fully upgraded");
+        ns.tprint(alternative ?
+            `  Best alternative: ${alternative.name} at ${alternative.score.toExponential(2)} ${unit}` :
+            "  No alternatives left");
+    }
+
+    function publishStatus(evaluation, action) {
+        const home = ns.getServer("home");
+        publish(ns, CHANNELS.HOME, {
+            ram: home.maxRam,
+            cores: home.cpuCores,
+            singularity: hasSingularity(ns),
+            upgrades: evaluation.upgrades.map(({ type, cost, estimated, to, score }) => ({ type, cost, estimated, to, score })),
+            alternative: evaluation.alternative,
+            action,
+            lastUpdate: Date.now(),
+        });
+    }
+
+    // Buy (or recommend) the best home upgrade if it beats the alternatives and fits the budget.
+    // Returns what happened, for the log and the dashboard.
+    async function act(evaluation) {
+        const best = evaluation.upgrades[0];
+        if (evaluation.alternative && best.score < evaluation.alternative.score) {
+            return { bought: false, status: `waiting: ${evaluation.alternative.name} is the better buy` };
+        }
+        const budget = ns.getServerMoneyAvailable("home") * CONFIG.MONEY_SHARE;
+        if (best.cost > budget) {
+            return { bought: false, status: `saving for ${describe(best)}` };
+        }
+
+        if (!hasSingularity(ns)) {
+            const notice = `${best.type}:${best.to}`;
+            if (notice !== lastNotice) {
+                lastNotice = notice;
+                ns.tprint(`Home Manager: buy ${describe(best)} at ${UPGRADE_SHOP}`);
+                ns.toast(`Visit Alpha Enterprises: ${describe(best)}`, "info", 10000);
+            }
+            return { bought: false, status: `visit ${UPGRADE_SHOP}: ${describe(best)}` };
+        }
+
+        if (!await runUpgrade(best, budget)) return { bought: false, status: `could not buy ${describe(best)}` };
+        ns.print(`Bought ${describe(best)}`);
+        return { bought: true, status: `bought ${describe(best)}` };
+    }
+
+    // Run the Singularity helper and tell from home's stats whether it bought the upgrade
+    async function runUpgrade(upgrade, budget) {
+        const before = ns.getServer("home");
+        if (!await runHelper(upgrade.type, budget)) return false;
+        const after = ns.getServer("home");
+        return after.maxRam > before.maxRam || after.cpuCores > before.cpuCores;
+    }
+
+    // With Singularity, have the helper record the real prices whenever we only have estimates
+    async function refreshPrices() {
+        if (!hasSingularity(ns) || !getHomeUpgrades(ns).some(upgrade => upgrade.estimated)) return;
+        if (!await runHelper("--prices")) ns.print(`WARNING: Could not run ${HOME_UPGRADE_SCRIPT} - using estimated prices`);
+    }
+
+    async function runHelper(...args) {
+        const pid = launch(ns, { script: HOME_UPGRADE_SCRIPT, splittable: false, priority: PRIORITY.MANAGER, hosts: ["home"] }, ...args);
+        if (pid === 0) return false;
+        while (ns.isRunning(pid)) {
+            await ns.sleep(100);
+        }
+        return true;
+    }
+
+    if (once) {
+        await refreshPrices();
+        report(evaluate());
+        return;
+    }
+
+    while (true) {
+        // The reset manager spends leftovers on home before installing; don't race it for the money
+        if (ns.scriptRunning(CONFIG.RESET_MANAGER, "home")) {
+            await ns.sleep(CONFIG.INTERVAL);
+            continue;
+        }
+
+        await refreshPrices();
+        const evaluation = evaluate();
+        if (evaluation.upgrades.length === 0) {
+            publishStatus(evaluation, "fully upgraded");
+            ns.print("Home is fully upgraded");
+            return;
+        }
+
+        const { bought, status } = await act(evaluation);
+        publishStatus(evaluation, status);
+
+        // Check again soon after a purchase: the next one may already be the best buy
+        await ns.sleep(bought ? 1000 : CONFIG.INTERVAL);
+    }
+}
@@ -0,0 +1,52 @@
+import { HOME_PRICES_FILE, HOME_UPGRADE } from "../lib/home.js";
+
+/**
+ * Buy one home RAM or cores upgrade through Singularity, and record the real prices of the next
+ * upgrades in HOME_PRICES_FILE. Launched by managers/home-manager.js only when Source-File 4 is
+ * owned, so the manager itself never pays Singularity's RAM cost.
+ *
+ * Usage: run managers/home-upgrade.js <ram|cores> <maxCost>
+ *        run managers/home-upgrade.js --prices   only record the prices
+ *   maxCost  skip the purchase if the real price (BitNode multipliers included) is higher
+ *
+ * @param {NS} ns
+ */
+export async function main(ns) {
+    const upgrades = {
+        [HOME_UPGRADE.RAM]: { cost: () => ns.singularity.getUpgradeHomeRamCost(), buy: () => ns.singularity.upgradeHomeRam() },
+        [HOME_UPGRADE.CORES]: { cost: () => ns.singularity.getUpgradeHomeCoresCost(), buy: () => ns.singularity.upgradeHomeCores() },
+    };
+
+    if (!ns.args.includes("--prices")) buy(String(ns.args[0]), Number(ns.args[1] ?? Infinity));
+    recordPrices();
+
+    function buy(type, maxCost) {
+        const upgrade = upgrades[type];
+        if (!upgrade) {
+            ns.tprint(`ERROR: Unknown home upgrade "${type}" (expected ${Object.keys(upgrades).join(" or ")})`);
+            return;
+        }
+
+        const cost = upgrade.cost();
+        if (!Number.isFinite(cost) || cost > maxCost) {
+            ns.print(`Home ${type} upgrade costs $${ns.formatNumber(cost, 2)}, over the $${ns.formatNumber(maxCost, 2)} budget`);
+            return;
+        }
+        if (upgrade.buy()) ns.print(`Upgraded home ${type} for $${ns.formatNumber(cost, 2)}`);
+    }
+
+    // Prices are only good for the home they were read on, so record its stats alongside
+    function recordPrices() {
+        const home = ns.getServer("home");
+        ns.write(HOME_PRICES_FILE, JSON.stringify({
+            node: ns.getResetInfo().currentNode,
+            ram: home.maxRam,
+            cores: home.cpuCores,
+            prices: {
+                [HOME_UPGRADE.RAM]: upgrades[HOME_UPGRADE.RAM].cost(),
+                [HOME_UPGRADE.CORES]: upgrades[HOME_UPGRADE.CORES].cost(),
+            },
+            time: Date.now(),
+        }), "w");
+    }
+}
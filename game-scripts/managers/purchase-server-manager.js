@@ -1,9 +1,25 @@
-/** @param {NS} ns */
+import { CHANNELS, publish } from "../lib/bus.js";
+
+/**
+ * Grow the purchased server fleet. Each round spends up to CONFIG.MONEY_SHARE of our money on
+ * whichever adds the most RAM per dollar: a new server at the largest affordable size, or an
+ * in-place upgrade of the smallest server to the largest size it can afford. In-place upgrades
+ * keep running batches alive, so nothing is ever killed or deleted.
+ *
+ * @param {NS} ns
+ */
 export async function main(ns) {
+    const CONFIG = {
+        MONEY_SHARE: 0.5, // Share of current money one purchase or upgrade may use
+        MIN_RAM: 8, // Smallest server worth buying
+        MIN_NEW_SHARE: 0.25, // New servers are at least this share of the largest one, so slots aren't wasted
+        NAME_PREFIX: "pserv-",
+        BUSY_INTERVAL: 1000, // Check again soon after buying
+        IDLE_INTERVAL: 60_000,
+    };
+
     const maxRam = ns.getPurchasedServerMaxRam();
-    const script = "workers/bot-worker.js";
-    const serverInfoFile = "servers/server_info.txt";
-    const minRam = 8; // Starting RAM size
+    const workerScripts = ["workers/hack.js", "workers/grow.js", "workers/weaken.js"];
 
     // Early game check - don't buy servers if player has less than 100k
     const playerMoney = ns.getServerMoneyAvailable("home");
@@ -17,18 +33,11 @@ export async function main(ns) {
     // Enable only essential logs
     ns.enableLog("print");
 
-    // Function to read and parse server info from file
-    function readServerInfo() {
-        if (ns.fileExists(serverInfoFile)) {
-            const fileContent = ns.read(serverInfoFile);
-            return JSON.parse(fileContent);
-        }
-        return [];
-    }
-
-    // Function to get purchased servers from the server info
-    function getPurchasedServers(serverInfo) {
-        return serverInfo.filter((server) => server.hostname.startsWith("pserv-"));
+    // The live fleet: the discovery file can be minutes behind our own purchases
+    function getFleet() {
+        return ns.getPurchasedServers()
+            .map(hostname => ({ hostname, ram: ns.getServerMaxRam(hostname) }))
+            .sort((a, b) => a.ram - b.ram || a.hostname.localeCompare(b.hostname));
     }
 
     // Function to ensure server has the correct name
@@ -45,92 +54,111 @@ export async function main(ns) {
         return currentName;
     }
 
-    // Function to get the next RAM upgrade for a server
-    function getNextRamUpgrade(currentRam) {
-        let nextRam = minRam;
-        while (nextRam <= currentRam) {
-            nextRam *= 2;
+    // First pserv-NNNN name not taken yet
+    function getNextName(fleet) {
+        for (let i = 0; ; i++) {
+            const name = `${CONFIG.NAME_PREFIX}${i.toString().padStart(4, '0')}`;
+            if (!fleet.some(server => server.hostname === name)) return name;
         }
-        return Math.min(nextRam, maxRam);
     }
 
-    while (true) {
-        const serverInfo = readServerInfo();
-        let purchasedServers = getPurchasedServers(serverInfo);
-        const serverLimit = ns.getPurchasedServerLimit();
+    // Largest power-of-two RAM from `from` up to maxRam whose cost fits the budget, or null
+    function largestAffordable(from, budget, costOf) {
+        let best = null;
+        for (let ram = from; ram <= maxRam; ram *= 2) {
+            const cost = costOf(ram);
+            if (cost < 0 || cost > budget) break; // Upgrade costs are -1 for sizes the game rejects
+            best = { ram, cost };
+        }
+        return best;
+    }
+
+    /**
+     * The best purchase or upgrade within the budget, scored by RAM added per dollar. Ties go to
+     * the bigger step.
+     * @returns {{type: "buy"|"upgrade", hostname: string, fromRam: number, ram: number, cost: number}|null}
+     */
+    function planNextStep(fleet, serverLimit, budget) {
+        const options = [];
+
+        if (fleet.length < serverLimit) {
+            const largest = fleet.length > 0 ? fleet[fleet.length - 1].ram : 0;
+            const floor = Math.max(CONFIG.MIN_RAM, largest * CONFIG.MIN_NEW_SHARE);
+            const buy = largestAffordable(CONFIG.MIN_RAM, budget, ram => ns.getPurchasedServerCost(ram));
+            if (buy && buy.ram >= floor) {
+                options.push({ type: "buy", hostname: getNextName(fleet), fromRam: 0, ...buy });
+            }
+        }
 
-        // Sort servers by hostname to ensure consistent ordering
-        purchasedServers.sort((a, b) => a.hostname.localeCompare(b.hostname));
-
-        let allServersMaxed = true;
-        let upgradedThisRound = false;
-
-        for (let i = 0; i < serverLimit; i++) {
-            const standardName = `pserv-${i.toString().padStart(4, '0')}`;
-            const existingServer = purchasedServers.find((s) => s.hostname === standardName);
-
-            if (!existingServer && purchasedServers.length < serverLimit) {
-                // Purchase new server if we're under the limit
-                const cost = ns.getPurchasedServerCost(minRam);
-                if (ns.getServerMoneyAvailable("home") >= cost) {
-                    const newServer = ns.purchaseServer(standardName, minRam);
-                    if (newServer !== "") {
-                        const correctedName = ensureCorrectServerName(newServer, standardName);
-                        await ns.scp(script, correctedName);
-                        const threads = Math.floor(minRam / ns.getScriptRam(script));
-                        ns.exec(script, correctedName, threads);
-                        ns.print(
-                            `New server ${correctedName} purchased with ${minRam}GB RAM, running ${threads} threads of ${script}`
-                        );
-                        upgradedThisRound = true;
-                    }
-                }
-                allServersMaxed = false;
-            } else if (existingServer) {
-                const currentRam = existingServer.maxRam;
-                const nextRam = getNextRamUpgrade(currentRam);
-
-                if (currentRam < maxRam) {
-                    allServersMaxed = false;
-                    const cost = ns.getPurchasedServerCost(nextRam);
-                    if (ns.getServerMoneyAvailable("home") >= cost) {
-                        ns.killall(existingServer.hostname);
-                        if (ns.deleteServer(existingServer.hostname)) {
-                            const upgradedServer = ns.purchaseServer(standardName, nextRam);
-                            if (upgradedServer !== "") {
-                                const correctedName = ensureCorrectServerName(upgradedServer, standardName);
-                                await ns.scp(script, correctedName);
-                                const scriptRam = ns.getScriptRam(script);
-                                let threads = 0;
-                                if (scriptRam > 0) {
-                                    threads = Math.floor(nextRam / scriptRam);
-                                    if (threads > 0) {
-                                        ns.exec(script, correctedName, threads);
-                                        ns.print(
-                                            `Server ${correctedName} upgraded from ${currentRam}GB to ${nextRam}GB RAM, running ${threads} threads of ${script}`
-                                        );
-                                    } else {
-                                        ns.print(`WARNING: Not enough RAM on ${correctedName} to run ${script}`);
-                                    }
-                                } else {
-                                    ns.print(`ERROR: Script ${script} not found or has 0 RAM cost`);
-                                }
-                                upgradedThisRound = true;
-                            }
-                        } else {
-                            ns.print(`Failed to delete server ${existingServer.hostname} for upgrade. Skipping.`);
-                        }
-                    }
-                }
+        const smallest = fleet.find(server => server.ram < maxRam);
+        if (smallest) {
+            const upgrade = largestAffordable(smallest.ram * 2, budget,
+                ram => ns.getPurchasedServerUpgradeCost(smallest.hostname, ram));
+            if (upgrade) {
+                options.push({ type: "upgrade", hostname: smallest.hostname, fromRam: smallest.ram, ...upgrade });
             }
         }
 
+        // Prices are linear in RAM in most BitNodes, so compare with a tolerance before the tie-break
+        const added = option => option.ram - option.fromRam;
+        const gain = option => added(option) / option.cost;
+        const byGain = (a, b) => Math.abs(gain(a) - gain(b)) > 1e-9 * gain(a) ? gain(b) - gain(a) : 0;
+        return options.sort((a, b) => byGain(a, b) || added(b) - added(a))[0] || null;
+    }
+
+    function execute(step) {
+        if (step.type === "buy") {
+            const newServer = ns.purchaseServer(step.hostname, step.ram);
+            if (newServer === "") return false;
+            const correctedName = ensureCorrectServerName(newServer, step.hostname);
+            ns.scp(workerScripts, correctedName, "home");
+            ns.print(`New server ${correctedName} purchased with ${ns.formatRam(step.ram)} for $${ns.formatNumber(step.cost, 2)}, batch workers copied`);
+            return true;
+        }
+
+        // Upgrading in place keeps every running script alive
+        if (!ns.upgradePurchasedServer(step.hostname, step.ram)) return false;
+        ns.print(
+            `Server ${step.hostname} upgraded from ${ns.formatRam(step.fromRam)} to ${ns.formatRam(step.ram)} ` +
+                `for $${ns.formatNumber(step.cost, 2)}`
+        );
+        return true;
+    }
+
+    // Summary for the dashboard's servers panel, read live since this loop just bought or upgraded some
+    function publishStatus(serverLimit, maxed, lastStep) {
+        const rams = ns.getPurchasedServers().map(hostname => ns.getServerMaxRam(hostname));
+        publish(ns, CHANNELS.SERVERS, {
+            count: rams.length,
+            limit: serverLimit,
+            totalRam: rams.reduce((sum, ram) => sum + ram, 0),
+            smallestRam: rams.length > 0 ? Math.min(...rams) : 0,
+            largestRam: rams.length > 0 ? Math.max(...rams) : 0,
+            maxRam,
+            maxed,
+            lastStep,
+            lastUpdate: Date.now(),
+        });
+    }
+
+    let lastStep = null;
+    while (true) {
+        const fleet = getFleet();
+        const serverLimit = ns.getPurchasedServerLimit();
+        const allServersMaxed = fleet.length >= serverLimit && fleet.every(server => server.ram >= maxRam);
+
+        const budget = ns.getServerMoneyAvailable("home") * CONFIG.MONEY_SHARE;
+        const next = allServersMaxed ? null : planNextStep(fleet, serverLimit, budget);
+        const bought = next !== null && execute(next);
+        if (bought) lastStep = { ...next, time: Date.now() };
+        publishStatus(serverLimit, allServersMaxed, lastStep);
+
         if (allServersMaxed) {
             ns.print("All servers upgraded to maximum RAM!");
             break;
         }
 
-        // Wait before next iteration, longer if no upgrades were made
-        await ns.sleep(upgradedThisRound ? 1000 : 60_000);
+        // Wait before next iteration, longer if nothing was affordable
+        await ns.sleep(bought ? CONFIG.BUSY_INTERVAL : CONFIG.IDLE_INTERVAL);
     }
 }
@@ -0,0 +1,258 @@
+import { CHANNELS, readData } from "../lib/bus.js";
+import { PRIORITY, launch } from "../lib/ram-allocator.js";
+
+/**
+ * Usage: run managers/reset-manager.js [--force] [--dry-run] [--auto]
+ *   --force    install now regardless of the decision rule
+ *   --dry-run  report the decision without liquidating, buying or installing
+ *   --auto     started by overlord: stay quiet when Singularity is unavailable
+ *
+ * @param {NS} ns
+ */
+export async function main(ns) {
+    const CONFIG = {
+        FILES: {
+            PLAN: "/planning/augmentation_plan.json",
+            AUG_DRY_RUN: "/planning/augmentation_dry_run.json", // Written by the aug buyer's --dry-run
+            HISTORY: "/planning/reset_history.txt",
+            LAST_MODE: "/state/main_mode.txt", // Written by main.js, read by the callback
+        },
+        SCRIPTS: {
+            STOCK_TRADER: "managers/stock-trader.js",
+            AUG_BUYER: "managers/augmentation-buyer.js",
+            CALLBACK: "core/reset-callback.js",
+        },
+        // Install once queued augs reach AUGS_PER_RESET at TARGET_INTERVAL; fewer are enough the longer a run goes
+        AUGS_PER_RESET: 8,
+        TARGET_INTERVAL: 2 * 60 * 60 * 1000, // 2 hours
+        MIN_INTERVAL: 30 * 60 * 1000, // Never reset more often than this
+        MAX_HISTORY: 100, // Reset records kept
+        NEUROFLUX: "NeuroFlux Governor",
+    };
+
+    ns.disableLog("ALL");
+
+    const force = ns.args.includes("--force");
+    const dryRun = ns.args.includes("--dry-run");
+    const auto = ns.args.includes("--auto");
+    const report = auto ? msg => ns.print(msg) : msg => ns.tprint(msg);
+
+    // Check if Singularity API is available for installing
+    try {
+        if (!ns.singularity || typeof ns.singularity.installAugmentations !== 'function') {
+            throw new Error("installAugmentations not found");
+        }
+        ns.singularity.getOwnedAugmentations(true); // Throws without Source-File 4
+    } catch (error) {
+        report("Reset Manager requires Singularity API (Source-File 4)");
+        report("  Manual reset: run managers/stock-trader.js liquidate, buy augs, Augmentations → Install, then run main.js");
+        return;
+    }
+
+    const decision = evaluate();
+    report(`Reset Manager: ${decision.queued} augs queued or unlocked (${decision.pending} bought), ` +
+        `${formatDuration(decision.elapsed)} since last install, need ${decision.required}`);
+
+    if (!force && !decision.install) {
+        report(`  Not installing yet: ${decision.reason}`);
+        return;
+    }
+    // Rep alone doesn't pay for augs: check what the money (stocks included) buys before selling anything
+    if (!force) {
+        const affordable = await countAffordable();
+        if (decision.pending + affordable < decision.required) {
+            report(`  Only ${decision.pending + affordable}/${decision.required} augs affordable - postponing install`);
+            return;
+        }
+    }
+
+    if (dryRun) {
+        report(`  Would install now${force ? " (forced)" : ""} - dry run, nothing bought`);
+        return;
+    }
+
+    // Turn positions into cash before shopping
+    const traderStopped = await liquidateStocks();
+    await runAndWait(CONFIG.SCRIPTS.AUG_BUYER, "--no-neuroflux");
+
+    const pending = getPendingAugs();
+    if (!force && pending.length < decision.required) {
+        report(`  Only ${pending.length} augs bought after shopping - postponing install`);
+        if (traderStopped) restartTrader();
+        return;
+    }
+    if (pending.length === 0) {
+        report("  Nothing to install - aborting");
+        if (traderStopped) restartTrader();
+        return;
+    }
+
+    // Home upgrades survive the install; NeuroFlux soaks up whatever is left
+    const homeSpend = upgradeHome();
+    await runAndWait(CONFIG.SCRIPTS.AUG_BUYER, "--neuroflux-only");
+
+    recordHistory(getPendingAugs(), homeSpend, decision);
+    ns.tprint(`Reset Manager: installing ${getPendingAugs().length} augmentations`);
+    ns.singularity.installAugmentations(CONFIG.SCRIPTS.CALLBACK);
+
+    function getPendingAugs() {
+        const installed = ns.singularity.getOwnedAugmentations(false);
+        const all = ns.singularity.getOwnedAugmentations(true);
+        // NeuroFlux shows up once per queued level
+        const pending = [...all];
+        for (const aug of installed) {
+            const index = pending.indexOf(aug);
+            if (index !== -1) pending.splice(index, 1);
+        }
+        return pending;
+    }
+
+    function countUnlocked() {
+        // Planned augs we have the rep for; money is spent by the buyer
+        try {
+            const plan = JSON.parse(ns.read(CONFIG.FILES.PLAN));
+            const owned = ns.singularity.getOwnedAugmentations(true);
+            const joined = ns.getPlayer().factions;
+            const unlocked = new Set();
+            for (const faction of plan.factions || []) {
+                if (!joined.includes(faction.name)) continue;
+                const rep = ns.singularity.getFactionRep(faction.name);
+                for (const aug of faction.augs || []) {
+                    if (aug.name === CONFIG.NEUROFLUX || owned.includes(aug.name)) continue;
+                    if (rep >= ns.singularity.getAugmentationRepReq(aug.name)) unlocked.add(aug.name);
+                }
+            }
+            return unlocked.size;
+        } catch (error) {
+            ns.print(`Could not read augmentation plan: ${error.message}`);
+            return 0;
+        }
+    }
+
+    function evaluate() {
+        const elapsed = Date.now() - ns.getResetInfo().lastAugReset;
+        const pending = getPendingAugs().length;
+        const queued = pending + countUnlocked();
+        const required = Math.max(1, Math.ceil(CONFIG.AUGS_PER_RESET * CONFIG.TARGET_INTERVAL / Math.max(elapsed, 1)));
+
+        let reason = "";
+        if (elapsed < CONFIG.MIN_INTERVAL) {
+            reason = `last install was under ${formatDuration(CONFIG.MIN_INTERVAL)} ago`;
+        } else if (queued < required) {
+            reason = `${queued}/${required} augs`;
+        }
+
+        return { install: reason === "", reason, elapsed, pending, queued, required };
+    }
+
+    // Augs the buyer could afford now, planning with our cash plus the trader's open positions
+    async function countAffordable() {
+        const stocks = readData(ns, CHANNELS.STOCKS);
+        const budget = ns.getServerMoneyAvailable("home") + (stocks?.portfolioValue ?? 0);
+        const started = Date.now();
+        await runAndWait(CONFIG.SCRIPTS.AUG_BUYER, "--dry-run", "--no-neuroflux", "--quiet", "--budget", budget);
+        try {
+            const result = JSON.parse(ns.read(CONFIG.FILES.AUG_DRY_RUN));
+            // An old file means the dry run never got to write one
+            return result.time >= started ? result.affordable.length : 0;
+        } catch (error) {
+            ns.print(`Could not read the aug buyer's dry run: ${error.message}`);
+            return 0;
+        }
+    }
+
+    // Returns whether the trader was running, so a postponed install can start it again
+    async function liquidateStocks() {
+        // Stop the trader first or it buys straight back in
+        if (!ns.fileExists(CONFIG.SCRIPTS.STOCK_TRADER, "home")) return false;
+        const stopped = ns.scriptKill(CONFIG.SCRIPTS.STOCK_TRADER, "home");
+        await runAndWait(CONFIG.SCRIPTS.STOCK_TRADER, "liquidate");
+        return stopped;
+    }
+
+    function restartTrader() {
+        const pid = launch(ns, { script: CONFIG.SCRIPTS.STOCK_TRADER, splittable: false, priority: PRIORITY.MANAGER, hosts: ["home"] });
+        report(pid !== 0 ? "  Stock trader restarted" : `  WARNING: Could not restart ${CONFIG.SCRIPTS.STOCK_TRADER}`);
+    }
+
+    async function runAndWait(script, ...args) {
+        const pid = launch(ns, { script, splittable: false, priority: PRIORITY.MANAGER, hosts: ["home"] }, ...args);
+        if (pid === 0) {
+            ns.print(`WARNING: Could not run ${script} ${args.join(" ")}`);
+            return;
+        }
+        while (ns.isRunning(pid)) {
+            await ns.sleep(100);
+        }
+    }
+
+    function upgradeHome() {
+        // Cheapest upgrade first until neither fits: nothing else we could buy survives the install,
+        // so managers/home-manager.js's comparison against servers and hacknet doesn't apply here
+        let spent = 0;
+        while (true) {
+            const money = ns.getServerMoneyAvailable("home");
+            const options = [
+                { name: "RAM", cost: ns.singularity.getUpgradeHomeRamCost(), buy: () => ns.singularity.upgradeHomeRam() },
+                { name: "cores", cost: ns.singularity.getUpgradeHomeCoresCost(), buy: () => ns.singularity.upgradeHomeCores() },
+            ].filter(option => Number.isFinite(option.cost) && option.cost <= money)
+                .sort((a, b) => a.cost - b.cost);
+
+            if (options.length === 0 || !options[0].buy()) break;
+            spent += options[0].cost;
+            ns.print(`Upgraded home ${options[0].name} for $${ns.formatNumber(options[0].cost, 2)}`);
+        }
+        return spent;
+    }
+
+    function recordHistory(augs, homeSpend, decision) {
+        let history = [];
+        try {
+            const content = ns.read(CONFIG.FILES.HISTORY);
+            if (content) history = JSON.parse(content);
+        } catch (error) {
+            ns.print(`Could not read reset history, starting fresh: ${error.message}`);
+        }
+
+        let mode = null;
+        try {
+            mode = JSON.parse(ns.read(CONFIG.FILES.LAST_MODE));
+        } catch (error) {
+            // main.js not run yet this save
+        }
+
+        let moneyEarned = null;
+        try {
+            moneyEarned = ns.getMoneySources().sinceInstall.total;
+        } catch (error) {
+            // Older game versions
+        }
+
+        const resetInfo = ns.getResetInfo();
+        history.push({
+            time: Date.now(),
+            bitNode: resetInfo.currentNode,
+            duration: decision.elapsed,
+            forced: force,
+            augs: augs.filter(aug => aug !== CONFIG.NEUROFLUX),
+            neurofluxLevels: augs.filter(aug => aug === CONFIG.NEUROFLUX).length,
+            hackLevel: ns.getHackingLevel(),
+            moneyEarned,
+            homeSpend,
+            homeRam: ns.getServerMaxRam("home"),
+            homeCores: ns.getServer("home").cpuCores,
+            mode: mode ? mode.args : [],
+        });
+
+        try {
+            ns.write(CONFIG.FILES.HISTORY, JSON.stringify(history.slice(-CONFIG.MAX_HISTORY)), "w");
+        } catch (error) {
+            ns.print(`Could not save reset history: ${error.message}`);
+        }
+    }
+
+    function formatDuration(ms) {
+        const minutes = Math.floor(ms / 60000);
+        return minutes >= 60 ? `${Math.floor(minutes / 60)}h ${minutes % 60}m` : `${minutes}m`;
+    }
+}
@@ -1,3 +1,5 @@
+import { CHANNELS, publish } from "../lib/bus.js";
+
 /** @param {NS} ns */
 export async function main(ns) {
     const CONFIG = {
@@ -425,8 +427,7 @@ export async function main(ns) {
                 lastUpdate: Date.now()
             };
 
-            ns.clearPort(4);
-            ns.writePort(4, JSON.stringify(hudData));
+            publish(ns, CHANNELS.STAT_GRINDER, hudData);
         } catch (error) {
             ns.print(`Could not update HUD: ${error.message}`);
         }
@@ -514,8 +515,7 @@ export async function main(ns) {
                 lastUpdate: Date.now()
             };
 
-            ns.clearPort(4);
-            ns.writePort(4, JSON.stringify(hudData));
+            publish(ns, CHANNELS.STAT_GRINDER, hudData);
         } catch (error) {
             ns.print(`Could not update guidance HUD: ${error.message}`);
         }
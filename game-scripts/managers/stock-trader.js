@@ -0,0 +1,341 @@
+import { createForecastEstimator } from "../lib/stock-forecast.js";
+import { CHANNELS, publish } from "../lib/bus.js";
+
+/** @param {NS} ns */
+export async function main(ns) {
+    const CONFIG = {
+        FILES: {
+            LEDGER: "/stocks/ledger.txt",
+            TICK_LOG: "/stocks/ticks.txt", // Written with --record, replayed by utils/stock-backtest.js
+        },
+        THRESHOLDS: {
+            BUY_LONG: 0.55, // Open a long when forecast is above this
+            SELL_LONG: 0.51, // Close a long when forecast drops below this
+            BUY_SHORT: 0.45, // Open a short when forecast is below this
+            SELL_SHORT: 0.49, // Close a short when forecast rises above this
+        },
+        // Estimated forecasts are noisier than 4S data, so demand a clearer signal before opening
+        ESTIMATED_THRESHOLDS: {
+            BUY_LONG: 0.6,
+            SELL_LONG: 0.5,
+            BUY_SHORT: 0.4,
+            SELL_SHORT: 0.5,
+        },
+        PORTFOLIO_SHARE: 0.5, // Max share of net worth held in stocks
+        POSITION_SHARE: 0.1, // Max share of net worth in a single stock
+        CASH_RESERVE: 5_000_000, // Never spend the last 5M
+        COMMISSION_MULT: 50, // Skip buys smaller than this many commissions (keeps fees under 2%)
+        MAX_TRADES_KEPT: 200, // Trade history entries kept in the ledger
+        TICK_FALLBACK: 6000, // Market tick length when ns.stock.nextUpdate is unavailable
+        MAX_TICKS_KEPT: 2000, // Recorded ticks kept in the tick log (~3h of market, a few MB on home)
+        TICK_TRIM_BATCH: 100, // Trim the tick log once it is this many ticks over, not on every tick
+    };
+
+    ns.disableLog("ALL");
+    ns.enableLog("print");
+
+    const command = ns.args[0];
+    const recordTicks = ns.args.includes("--record");
+    let tickCount = null; // Ticks in the log, counted on the first write
+
+    // Check API access before touching anything else
+    const access = getAccess();
+    if (!access.wse || !access.tix) {
+        ns.tprint("Stock Trader requires a WSE account and TIX API access");
+        ns.tprint(`  WSE account: ${access.wse ? "yes" : "NO"} | TIX API: ${access.tix ? "yes" : "NO"}`);
+        ns.tprint("  Buy them at World Stock Exchange in Aevum, or via ns.stock.purchaseWseAccount/purchaseTixApi");
+        return;
+    }
+
+    const COMMISSION = ns.stock.getConstants().StockMarketCommission;
+    const ledger = loadLedger();
+
+    if (command === "liquidate") {
+        // Sell everything, e.g. before installing augmentations
+        const proceeds = liquidateAll("liquidate command");
+        ns.tprint(`Stock Trader: liquidated all positions for $${ns.formatNumber(proceeds, 2)}`);
+        publishHUD();
+        return;
+    }
+
+    // 4S data when we have it, otherwise forecasts inferred from price history
+    const estimator = access.has4S ? null : createForecastEstimator();
+    const forecasts = access.has4S
+        ? {
+            getForecast: symbol => ns.stock.getForecast(symbol),
+            getVolatility: symbol => ns.stock.getVolatility(symbol),
+            isReady: () => true,
+        }
+        : estimator;
+    const thresholds = access.has4S ? CONFIG.THRESHOLDS : CONFIG.ESTIMATED_THRESHOLDS;
+
+    ns.print(
+        `Stock Trader started (${access.has4S ? "4S forecasts" : "estimated forecasts"}, ` +
+            `shorts ${access.shorts ? "enabled" : "disabled"}, commission $${ns.formatNumber(COMMISSION, 0)})`
+    );
+
+    while (true) {
+        try {
+            sampleTick();
+            tendStocks(forecasts);
+        } catch (error) {
+            ns.print(`ERROR: Trading cycle failed: ${error.message}`);
+        }
+        await waitForTick();
+    }
+
+    function getAccess() {
+        const result = { wse: false, tix: false, has4S: false, shorts: false };
+        try {
+            result.wse = ns.stock.hasWSEAccount();
+            result.tix = ns.stock.hasTIXAPIAccess();
+            result.has4S = ns.stock.has4SDataTIXAPI();
+        } catch (error) {
+            ns.print(`Stock API not available: ${error.message}`);
+            return result;
+        }
+
+        // Shorting needs BitNode 8 or Source-File 8 level 2
+        try {
+            const resetInfo = ns.getResetInfo();
+            result.shorts = resetInfo.currentNode === 8 || (resetInfo.ownedSF.get(8) ?? 0) >= 2;
+        } catch (error) {
+            result.shorts = false;
+        }
+        return result;
+    }
+
+    async function waitForTick() {
+        if (typeof ns.stock.nextUpdate === "function") {
+            await ns.stock.nextUpdate();
+        } else {
+            await ns.sleep(CONFIG.TICK_FALLBACK);
+        }
+    }
+
+    function sampleTick() {
+        // Feed the estimator and optionally log the tick for backtesting
+        if (!estimator && !recordTicks) return;
+
+        const prices = {};
+        for (const symbol of ns.stock.getSymbols()) {
+            prices[symbol] = ns.stock.getPrice(symbol);
+            if (estimator) estimator.record(symbol, prices[symbol]);
+        }
+
+        if (recordTicks) {
+            const tick = { time: Date.now(), prices };
+            if (access.has4S) {
+                tick.forecasts = Object.fromEntries(Object.keys(prices).map(symbol => [symbol, ns.stock.getForecast(symbol)]));
+            }
+            ns.write(CONFIG.FILES.TICK_LOG, JSON.stringify(tick) + "\n", "a");
+            trimTickLog();
+        }
+    }
+
+    function readTickLines() {
+        return ns.read(CONFIG.FILES.TICK_LOG).split("\n").filter(line => line.trim() !== "");
+    }
+
+    // Keep the last MAX_TICKS_KEPT ticks; every tick holds every symbol, so this caps each symbol too
+    function trimTickLog() {
+        tickCount = tickCount === null ? readTickLines().length : tickCount + 1;
+        if (tickCount <= CONFIG.MAX_TICKS_KEPT + CONFIG.TICK_TRIM_BATCH) return;
+
+        const kept = readTickLines().slice(-CONFIG.MAX_TICKS_KEPT);
+        ns.write(CONFIG.FILES.TICK_LOG, kept.join("\n") + "\n", "w");
+        tickCount = kept.length;
+    }
+
+    function getStocks(forecasts) {
+        return ns.stock.getSymbols().map(symbol => {
+            const [shares, avgPrice, sharesShort, avgPriceShort] = ns.stock.getPosition(symbol);
+            return {
+                symbol,
+                ready: forecasts.isReady(symbol),
+                forecast: forecasts.getForecast(symbol),
+                volatility: forecasts.getVolatility(symbol),
+                askPrice: ns.stock.getAskPrice(symbol),
+                bidPrice: ns.stock.getBidPrice(symbol),
+                maxShares: ns.stock.getMaxShares(symbol),
+                shares,
+                avgPrice,
+                sharesShort,
+                avgPriceShort,
+            };
+        });
+    }
+
+    function getPositionValue(stock) {
+        // Longs sell at bid; shorts are worth their entry value plus the drop to ask
+        const longValue = stock.shares * stock.bidPrice;
+        const shortValue = stock.sharesShort * (2 * stock.avgPriceShort - stock.askPrice);
+        return longValue + shortValue;
+    }
+
+    function tendStocks(forecasts) {
+        const stocks = getStocks(forecasts);
+
+        // Close positions whose forecast turned against us (no opinion yet = hold)
+        for (const stock of stocks) {
+            if (!stock.ready) continue;
+            if (stock.shares > 0 && stock.forecast < thresholds.SELL_LONG) {
+                sellLong(stock, `forecast ${stock.forecast.toFixed(3)}`);
+            }
+            if (stock.sharesShort > 0 && stock.forecast > thresholds.SELL_SHORT) {
+                sellShort(stock, `forecast ${stock.forecast.toFixed(3)}`);
+            }
+        }
+
+        // Rank opportunities by expected move per tick
+        const candidates = stocks
+            .filter(stock => stock.ready)
+            .map(stock => ({ stock, expected: stock.volatility * Math.abs(stock.forecast - 0.5) }))
+            .filter(({ stock }) =>
+                stock.forecast > thresholds.BUY_LONG ||
+                (access.shorts && stock.forecast < thresholds.BUY_SHORT)
+            )
+            .sort((a, b) => b.expected - a.expected);
+
+        for (const { stock } of candidates) {
+            const budget = getBuyBudget(stocks, stock);
+            if (budget < COMMISSION * CONFIG.COMMISSION_MULT) break;
+
+            if (stock.forecast > thresholds.BUY_LONG) {
+                buyLong(stock, budget);
+            } else {
+                buyShort(stock, budget);
+            }
+        }
+
+        publishHUD(stocks);
+    }
+
+    function getBuyBudget(stocks, stock) {
+        // Cash we may put into this stock given portfolio and per-position caps
+        const cash = ns.getServerMoneyAvailable("home");
+        const invested = stocks.reduce((sum, s) => sum + getPositionValue(s), 0);
+        const netWorth = cash + invested;
+
+        const portfolioRoom = netWorth * CONFIG.PORTFOLIO_SHARE - invested;
+        const positionRoom = netWorth * CONFIG.POSITION_SHARE - getPositionValue(stock);
+        const cashRoom = cash - CONFIG.CASH_RESERVE - COMMISSION;
+
+        return Math.max(0, Math.min(portfolioRoom, positionRoom, cashRoom));
+    }
+
+    function buyLong(stock, budget) {
+        const shares = Math.floor(Math.min((budget - COMMISSION) / stock.askPrice, stock.maxShares - stock.shares - stock.sharesShort));
+        if (shares <= 0) return;
+
+        const price = ns.stock.buyStock(stock.symbol, shares);
+        if (price > 0) {
+            stock.avgPrice = (stock.avgPrice * stock.shares + price * shares) / (stock.shares + shares);
+            stock.shares += shares;
+            recordTrade("buy", stock.symbol, shares, price, 0, `forecast ${stock.forecast.toFixed(3)}`);
+        }
+    }
+
+    function buyShort(stock, budget) {
+        const shares = Math.floor(Math.min((budget - COMMISSION) / stock.bidPrice, stock.maxShares - stock.shares - stock.sharesShort));
+        if (shares <= 0) return;
+
+        const price = ns.stock.buyShort(stock.symbol, shares);
+        if (price > 0) {
+            stock.avgPriceShort = (stock.avgPriceShort * stock.sharesShort + price * shares) / (stock.sharesShort + shares);
+            stock.sharesShort += shares;
+            recordTrade("short", stock.symbol, shares, price, 0, `forecast ${stock.forecast.toFixed(3)}`);
+        }
+    }
+
+    function sellLong(stock, reason) {
+        const price = ns.stock.sellStock(stock.symbol, stock.shares);
+        if (price <= 0) return 0;
+
+        const proceeds = price * stock.shares - COMMISSION;
+        const profit = (price - stock.avgPrice) * stock.shares - 2 * COMMISSION;
+        recordTrade("sell", stock.symbol, stock.shares, price, profit, reason);
+        stock.shares = 0;
+        return proceeds;
+    }
+
+    function sellShort(stock, reason) {
+        const price = ns.stock.sellShort(stock.symbol, stock.sharesShort);
+        if (price <= 0) return 0;
+
+        const proceeds = (2 * stock.avgPriceShort - price) * stock.sharesShort - COMMISSION;
+        const profit = (stock.avgPriceShort - price) * stock.sharesShort - 2 * COMMISSION;
+        recordTrade("cover", stock.symbol, stock.sharesShort, price, profit, reason);
+        stock.sharesShort = 0;
+        return proceeds;
+    }
+
+    function liquidateAll(reason) {
+        let proceeds = 0;
+        const noForecast = { getForecast: () => 0.5, getVolatility: () => 0, isReady: () => false };
+        for (const stock of getStocks(noForecast)) {
+            if (stock.shares > 0) proceeds += sellLong(stock, reason);
+            if (stock.sharesShort > 0) proceeds += sellShort(stock, reason);
+        }
+        return proceeds;
+    }
+
+    function loadLedger() {
+        try {
+            if (ns.fileExists(CONFIG.FILES.LEDGER)) {
+                return JSON.parse(ns.read(CONFIG.FILES.LEDGER));
+            }
+        } catch (error) {
+            ns.print(`Could not read ledger, starting a new one: ${error.message}`);
+        }
+        return { realizedProfit: 0, commissionsPaid: 0, trades: [], positions: {} };
+    }
+
+    function recordTrade(type, symbol, shares, price, profit, reason) {
+        ledger.trades.push({ time: Date.now(), type, symbol, shares, price, profit, reason });
+        if (ledger.trades.length > CONFIG.MAX_TRADES_KEPT) {
+            ledger.trades = ledger.trades.slice(-CONFIG.MAX_TRADES_KEPT);
+        }
+        ledger.realizedProfit += profit;
+        ledger.commissionsPaid += COMMISSION;
+
+        // Positions mirror the game's view so a restarted trader can see what it owns and why
+        const [longShares, avgPrice, shortShares, avgPriceShort] = ns.stock.getPosition(symbol);
+        if (longShares > 0 || shortShares > 0) {
+            ledger.positions[symbol] = { longShares, avgPrice, shortShares, avgPriceShort, updated: Date.now() };
+        } else {
+            delete ledger.positions[symbol];
+        }
+
+        ns.write(CONFIG.FILES.LEDGER, JSON.stringify(ledger, null, 2), "w");
+
+        const verb = { buy: "Bought", short: "Shorted", sell: "Sold", cover: "Covered" }[type];
+        const profitText = type === "sell" || type === "cover" ? ` (profit $${ns.formatNumber(profit, 2)})` : "";
+        ns.print(`${verb} ${ns.formatNumber(shares, 1)} ${symbol} @ $${ns.formatNumber(price, 2)} - ${reason}${profitText}`);
+    }
+
+    function publishHUD(stocks = null) {
+        try {
+            const current = stocks ?? getStocks({ getForecast: () => 0.5, getVolatility: () => 0, isReady: () => false });
+            const held = current.filter(s => s.shares > 0 || s.sharesShort > 0);
+            const hudData = {
+                portfolioValue: held.reduce((sum, s) => sum + getPositionValue(s), 0),
+                cash: ns.getServerMoneyAvailable("home"),
+                realizedProfit: ledger.realizedProfit,
+                positions: held.map(s => ({
+                    symbol: s.symbol,
+                    side: s.shares > 0 ? "long" : "short",
+                    value: getPositionValue(s),
+                    forecast: s.forecast,
+                })),
+                shortsEnabled: access.shorts,
+                forecastSource: access.has4S ? "4S" : "estimated",
+                lastUpdate: Date.now(),
+            };
+
+            publish(ns, CHANNELS.STOCKS, hudData);
+        } catch (error) {
+            ns.print(`Could not update HUD: ${error.message}`);
+        }
+    }
+}
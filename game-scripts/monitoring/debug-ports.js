@@ -1,19 +1,27 @@
+import { CHANNELS, MODE, read } from "../lib/bus.js";
+
 /** @param {NS} ns */
 export async function main(ns) {
     ns.tprint("=== Port Debug Tool ===");
 
-    for (let port = 1; port <= 5; port++) {
-        const value = ns.peek(port);
-        ns.tprint(`Port ${port}: ${value}`);
+    for (const channel of Object.values(CHANNELS)) {
+        const envelope = read(ns, channel);
+        const header = `Port ${channel.port} [${channel.name}, ${channel.mode}]`;
+        if (!envelope) {
+            ns.tprint(`${header}: No Data`);
+            continue;
+        }
 
-        if (port === 2 && value !== "NULL PORT DATA") {
-            try {
-                const parsed = JSON.parse(value);
-                ns.tprint(`  Parsed Port 2: ${JSON.stringify(parsed, null, 2)}`);
-            } catch (e) {
-                ns.tprint(`  Error parsing Port 2: ${e.message}`);
-            }
+        if (envelope.v === 0) {
+            ns.tprint(`${header}: unversioned value (not published through the bus): ${JSON.stringify(envelope.data)}`);
+            continue;
         }
+
+        const age = Math.round((Date.now() - envelope.time) / 1000);
+        ns.tprint(`${header}: ${envelope.type} from ${envelope.sender}, ${age}s ago (v${envelope.v})`);
+        // Queues only show their oldest waiting message; peeking never consumes it
+        if (channel.mode === MODE.QUEUE) ns.tprint("  (oldest waiting message)");
+        ns.tprint(`  ${JSON.stringify(envelope.data, null, 2)}`);
     }
 
     ns.tprint("\n=== Running Scripts ===");
@@ -23,4 +31,4 @@ export async function main(ns) {
             ns.tprint(`${proc.filename} (PID: ${proc.pid}) - Args: ${proc.args.join(', ')}`);
         }
     });
-}
\ No newline at end of file
+}
@@ -0,0 +1,72 @@
+import { CHANNELS, publish, readData } from "../lib/bus.js";
+import { SAMPLE_INTERVAL, loadRing, pushSample, saveRing } from "../lib/metrics.js";
+
+/**
+ * Sample money, income per source, hacking level and XP every SAMPLE_INTERVAL into the metrics ring
+ * buffer, and publish the latest sample for the dashboard's history panel.
+ *
+ * @param {NS} ns
+ */
+export async function main(ns) {
+    ns.disableLog("ALL");
+
+    const ring = loadRing(ns);
+    // Batch targets drop out of the plan; keep their last counter so their history stays continuous
+    const targets = {};
+
+    while (true) {
+        try {
+            const sample = takeSample();
+            pushSample(ring, sample);
+            saveRing(ns, ring);
+            publish(ns, CHANNELS.METRICS, { ...sample, samples: ring.samples.length });
+        } catch (error) {
+            ns.print(`ERROR: Could not record metrics: ${error.message}`);
+        }
+        await ns.sleep(SAMPLE_INTERVAL);
+    }
+
+    function takeSample() {
+        const player = ns.getPlayer();
+        return {
+            time: Date.now(),
+            money: ns.getServerMoneyAvailable("home"),
+            hackLevel: player.skills.hacking,
+            hackExp: player.exp.hacking,
+            sources: getMoneySources(),
+            targets: getTargetCounters(),
+            goBonus: getGoBonuses(),
+            lastAugReset: ns.getResetInfo().lastAugReset,
+        };
+    }
+
+    function getMoneySources() {
+        // Cumulative per-source money since the last install; "total" is derived on the chart instead
+        const sources = {};
+        for (const [source, amount] of Object.entries(ns.getMoneySources().sinceInstall)) {
+            if (source !== "total" && amount !== 0) sources[source] = amount;
+        }
+        return sources;
+    }
+
+    function getTargetCounters() {
+        const prepStatus = readData(ns, CHANNELS.PREP_STATUS);
+        for (const target of (prepStatus && prepStatus.targets) || []) {
+            if (target.expectedStolen > 0) targets[target.hostname] = target.expectedStolen;
+        }
+        return { ...targets };
+    }
+
+    function getGoBonuses() {
+        // Go pays in multipliers rather than money
+        const bonuses = {};
+        try {
+            for (const [opponent, stats] of Object.entries(ns.go.analysis.getStats())) {
+                if (stats.bonusPercent > 0) bonuses[opponent] = stats.bonusPercent;
+            }
+        } catch (error) {
+            // Go API unavailable
+        }
+        return bonuses;
+    }
+}
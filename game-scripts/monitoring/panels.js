@@ -0,0 +1,486 @@
+/**
+ * Dashboard panels, one per bus channel. monitoring/port-monitor.js draws the window, the panel
+ * chrome (title, collapse, reorder) and persistence; a panel only renders its channel's data.
+ *
+ * Usage:
+ *   registerPanel("my-channel", { title: "Mine", color: "#88ff88", render: (data, context) => "<div>...</div>" });
+ *
+ * render() returns the panel body as HTML. context is { ns, envelope }. Channels without a
+ * registered panel fall back to renderJsonTree().
+ */
+
+import { MONEY_PER_HASH, isServerMode } from "../lib/hacknet.js";
+import { loadRing, orderedSamples, toRates } from "../lib/metrics.js";
+
+const PANELS = new Map();
+
+/**
+ * Register the renderer for a channel.
+ * @param {string} channelName - Bus channel name
+ * @param {{title: string, color: string, render: (data: *, context: {ns: NS, envelope: object}) => string}} panel
+ */
+export function registerPanel(channelName, panel) {
+    PANELS.set(channelName, panel);
+}
+
+/**
+ * Panel for a channel, or undefined if it has none.
+ * @param {string} channelName
+ */
+export function getPanel(channelName) {
+    return PANELS.get(channelName);
+}
+
+/** Escape text for innerHTML */
+export function escapeHtml(value) {
+    return String(value)
+        .replace(/&/g, "&amp;")
+        .replace(/</g, "&lt;")
+        .replace(/>/g, "&gt;")
+        .replace(/"/g, "&quot;");
+}
+
+/**
+ * Collapsible tree of any JSON value. Nested nodes are closed unless their path is in openPaths,
+ * so a re-render keeps what the user expanded.
+ * @param {*} value
+ * @param {Set<string>} openPaths - data-path values of expanded nodes
+ * @param {string=} path
+ */
+export function renderJsonTree(value, openPaths, path = "$") {
+    if (value === null || typeof value !== "object") {
+        const color = typeof value === "string" ? "#88ff88" : typeof value === "number" ? "#ffaa00" : "#88aaff";
+        const text = typeof value === "string" ? `"${value}"` : String(value);
+        return `<span style="color: ${color};">${escapeHtml(text)}</span>`;
+    }
+
+    const entries = Array.isArray(value) ? value.map((item, index) => [index, item]) : Object.entries(value);
+    const summary = Array.isArray(value) ? `Array(${entries.length})` : `{${entries.length}}`;
+    if (entries.length === 0) return `<span style="color: #888;">${summary}</span>`;
+
+    const open = !path.includes(".") || openPaths.has(path); // The root is always open
+    const children = entries.map(([key, child]) => {
+        const childPath = `${path}.${key}`;
+        return `<div style="margin-left: 12px; font-size: 11px;">
+                <span style="color: #00ddff;">${escapeHtml(key)}</span>: ${renderJsonTree(child, openPaths, childPath)}
+            </div>`;
+    }).join("");
+
+    return `<details data-path="${escapeHtml(path)}"${open ? " open" : ""} style="display: inline-block; vertical-align: top;">
+            <summary style="cursor: pointer; color: #888;">${summary}</summary>${children}
+        </details>`;
+}
+
+// Small helpers shared by the built-in panels
+const heading = text => `<div style="color: #00ddff; font-size: 12px; margin: 5px 0 3px 0;">${text}</div>`;
+const line = html => `<div style="margin-left: 15px; font-size: 11px;">${html}</div>`;
+const muted = text => `<div style="margin-left: 15px; color: #888; font-size: 11px;">${text}</div>`;
+/** Coarse duration; null stands for Infinity, which JSON can't carry */
+function formatSeconds(seconds) {
+    if (seconds === null || !Number.isFinite(seconds)) return "never";
+    const minutes = Math.ceil(seconds / 60);
+    return minutes < 60 ? `${minutes}m` : `${Math.floor(minutes / 60)}h ${minutes % 60}m`;
+}
+
+// --- Hacking ---------------------------------------------------------------------------------
+
+registerPanel("status", {
+    title: "System Status",
+    color: "#00ddff",
+    render(statusData, { ns }) {
+        // Calculate current time remaining based on when the data was last updated
+        const timeSinceUpdate = Math.floor((Date.now() - statusData.lastUpdate) / 1000);
+        const adjustedTimeRemaining = Math.max(0, statusData.nextDiscovery - timeSinceUpdate);
+        const minutes = Math.floor(adjustedTimeRemaining / 60);
+        const seconds = adjustedTimeRemaining % 60;
+
+        // Hacknet Servers produce hashes; count them at their sell price
+        const hashValue = isServerMode(ns) ? MONEY_PER_HASH : 1;
+        const hacknetIncome = Array.from({ length: ns.hacknet.numNodes() }, (_, i) =>
+            ns.hacknet.getNodeStats(i).production * hashValue
+        ).reduce((a, b) => a + b, 0);
+        let scriptIncome = 0;
+        try {
+            scriptIncome = ns.getTotalScriptIncome()[0] || 0;
+        } catch (error) {
+            // Older API versions; leave at 0
+        }
+
+        return `
+            <div style="margin-left: 10px; line-height: 1.4;">
+                <div>Next Discovery: <span style="color: #ffff00;">${minutes}m ${seconds}s</span></div>
+                <div>Interval: ${statusData.discoveryInterval}s</div>
+                <div>Hack Level: <span style="color: #ff6600;">${statusData.hackLevel}</span></div>
+                ${heading("Income/sec:")}
+                ${line(`Scripts: <span style="color: #88ff88;">$${ns.formatNumber(scriptIncome, 3)}/s</span>`)}
+                ${line(`Hacknet: <span style="color: #88ff88;">$${ns.formatNumber(hacknetIncome, 3)}/s</span>${hashValue !== 1 ? " (hashes)" : ""}`)}
+                ${line(`Total: <span style="color: #ffaa00; font-weight: bold;">$${ns.formatNumber(scriptIncome + hacknetIncome, 3)}/s</span>`)}
+            </div>
+        `;
+    },
+});
+
+registerPanel("target", {
+    title: "Best Target",
+    color: "#ff6666",
+    render(hostname) {
+        return line(`<span style="color: #ffaa00;">${escapeHtml(hostname)}</span>`);
+    },
+});
+
+registerPanel("prep-status", {
+    title: "Batch Targets",
+    color: "#ff6666",
+    render(prepData) {
+        const statusColors = {
+            unprepped: "#ff6666",
+            prepping: "#ffaa00",
+            ready: "#ffff88",
+            batched: "#88ff88",
+        };
+
+        const targetList = (prepData.targets || []).map(target => {
+            const moneyPct = target.maxMoney > 0 ? (target.money / target.maxMoney * 100).toFixed(0) : "0";
+            const secDelta = (target.security - target.minSecurity).toFixed(2);
+            const eta = target.eta > 0 ? ` ${Math.ceil(target.eta / 1000)}s` : "";
+            return `<div style="margin-left: 15px; font-size: 11px;">
+                    <span style="color: #ffaa00;">${escapeHtml(target.hostname)}</span>
+                    <span style="color: ${statusColors[target.status] || "#888"};">${target.status}${eta}</span>
+                    <div style="margin-left: 15px; color: #888; font-size: 10px;">
+                        $${moneyPct}%, sec +${secDelta}${target.batches > 0 ? `, ${target.batches} batches` : ""}
+                    </div>
+                </div>`;
+        }).join("");
+
+        return `<div style="margin-left: 10px; line-height: 1.3;">${targetList || muted("No targets planned")}</div>`;
+    },
+});
+
+// --- Hacknet ---------------------------------------------------------------------------------
+
+registerPanel("hacknet", {
+    title: "Hacknet",
+    color: "#88ff88",
+    render(data, { ns }) {
+        const next = data.nextAction ?
+            line(`Next: ${escapeHtml(data.nextAction.name)} on node ${data.nextAction.node} for $${ns.formatNumber(data.nextAction.cost, 2)}` +
+                (data.nextAction.payback !== undefined ? ` <span style="color: #888;">(pays back in ${formatSeconds(data.nextAction.payback)})</span>` : "")) :
+            muted(data.horizon ? `Nothing pays back within ${formatSeconds(data.horizon)}` : "No upgrades queued");
+        const hashes = data.hashes;
+        const hashLines = !hashes ? "" :
+            line(`Hashes: <span style="color: #88ff88;">${ns.formatNumber(hashes.count, 0)}/${ns.formatNumber(hashes.capacity, 0)}</span> ` +
+                `(${ns.formatNumber(hashes.rate, 3)}/s)`) +
+            Object.entries(hashes.spent || {})
+                .map(([upgrade, count]) => muted(`Bought ${escapeHtml(upgrade)} x${count}`)).join("") +
+            (hashes.wanted > 0 ? muted(`Saving toward ${ns.formatNumber(hashes.wanted, 0)} hashes (cache too small)`) : "");
+        const breakeven = data.breakeven;
+        const breakevenLine = !breakeven ? "" : breakeven.net >= 0 ?
+            line(`Paid off: <span style="color: #88ff88;">+$${ns.formatNumber(breakeven.net, 2)}</span> net since install`) :
+            line(`Breakeven: <span style="color: #ffaa00;">${formatSeconds(breakeven.seconds)}</span> ($${ns.formatNumber(-breakeven.net, 2)} to go)`);
+        return `
+            <div style="margin-left: 10px; line-height: 1.3;">
+                ${line(`Nodes: <span style="color: #88ff88;">${data.nodes}/${data.maxNodes}</span> (${data.completed} maxed)`)}
+                ${line(`Production: <span style="color: #ffaa00;">$${ns.formatNumber(data.production, 3)}/s</span>${data.estimate ? ` <span style="color: #888;">(${escapeHtml(data.estimate)})</span>` : ""}`)}
+                ${line(`Produced: $${ns.formatNumber(data.totalProduced, 3)}`)}
+                ${hashLines}
+                ${breakevenLine}
+                ${next}
+            </div>
+        `;
+    },
+});
+
+// --- Purchased servers -----------------------------------------------------------------------
+
+registerPanel("servers", {
+    title: "Purchased Servers",
+    color: "#ffaa00",
+    render(data, { ns }) {
+        return `
+            <div style="margin-left: 10px; line-height: 1.3;">
+                ${line(`Servers: <span style="color: #88ff88;">${data.count}/${data.limit}</span>${data.maxed ? " (all maxed)" : ""}`)}
+                ${line(`Total RAM: <span style="color: #ffaa00;">${ns.formatRam(data.totalRam)}</span>`)}
+                ${data.count > 0 ? line(`Range: ${ns.formatRam(data.smallestRam)} – ${ns.formatRam(data.largestRam)} of ${ns.formatRam(data.maxRam)}`) : ""}
+                ${data.lastStep ? muted(`Last: ${data.lastStep.type === "buy" ? "bought" : "upgraded"} ${escapeHtml(data.lastStep.hostname)} ` +
+                    `to ${ns.formatRam(data.lastStep.ram)} for $${ns.formatNumber(data.lastStep.cost, 2)}`) : ""}
+            </div>
+        `;
+    },
+});
+
+// --- Home ------------------------------------------------------------------------------------
+
+registerPanel("home", {
+    title: "Home Server",
+    color: "#88ddff",
+    render(data, { ns }) {
+        const upgrades = (data.upgrades || []).map(upgrade => line(
+            `Next ${escapeHtml(upgrade.type)}: ${upgrade.type === "ram" ? ns.formatRam(upgrade.to) : `${upgrade.to} cores`} ` +
+            `for ${upgrade.estimated ? "~" : ""}$${ns.formatNumber(upgrade.cost, 2)}`
+        )).join("");
+        return `
+            <div style="margin-left: 10px; line-height: 1.3;">
+                ${line(`Home: <span style="color: #88ff88;">${ns.formatRam(data.ram)}</span>, ${data.cores} cores${data.singularity ? "" : " (manual upgrades)"}`)}
+                ${upgrades}
+                ${data.action ? muted(escapeHtml(data.action)) : ""}
+            </div>
+        `;
+    },
+});
+
+// --- Stocks ----------------------------------------------------------------------------------
+
+registerPanel("stocks", {
+    title: "Stocks",
+    color: "#ffff88",
+    render(data, { ns }) {
+        const positions = (data.positions || [])
+            .sort((a, b) => b.value - a.value)
+            .slice(0, 5)
+            .map(position => line(
+                `<span style="color: ${position.side === "long" ? "#88ff88" : "#ff8888"};">${escapeHtml(position.symbol)}</span> ` +
+                `${position.side} $${ns.formatNumber(position.value, 2)} <span style="color: #888;">(${(position.forecast * 100).toFixed(0)}%)</span>`
+            )).join("");
+        return `
+            <div style="margin-left: 10px; line-height: 1.3;">
+                ${line(`Portfolio: <span style="color: #ffaa00;">$${ns.formatNumber(data.portfolioValue, 3)}</span>`)}
+                ${line(`Realized: <span style="color: ${data.realizedProfit >= 0 ? "#88ff88" : "#ff6666"};">$${ns.formatNumber(data.realizedProfit, 3)}</span>`)}
+                ${line(`Forecasts: ${escapeHtml(data.forecastSource)}${data.shortsEnabled ? ", shorts on" : ""}`)}
+                ${heading("Top positions:")}
+                ${positions || muted("No positions")}
+            </div>
+        `;
+    },
+});
+
+// --- Augmentations ---------------------------------------------------------------------------
+
+registerPanel("augmentation", {
+    title: "Augmentation Plan",
+    color: "#ff88ff",
+    render(augData) {
+        const factionList = (augData.topFactions || []).slice(0, 3).map((faction, i) =>
+            line(`${i + 1}. <span style="color: #ffaa00;">${escapeHtml(faction.name)}</span>
+                <span style="color: #888;">(${Math.round(faction.score)})</span>`)
+        ).join("");
+
+        const nextAugList = (augData.nextAugmentations || []).slice(0, 2).map((aug, i) =>
+            line(`${i + 1}. <span style="color: #00ff88;">${escapeHtml(aug.name)}</span>
+                <div style="margin-left: 15px; color: #888; font-size: 10px;">
+                    $${(aug.price / 1000000).toFixed(1)}M, ${(aug.repReq / 1000).toFixed(1)}k rep
+                </div>`)
+        ).join("");
+
+        return `
+            <div style="margin-left: 10px; line-height: 1.3;">
+                ${heading("Priority Factions:")}
+                ${factionList || muted("Planning...")}
+                ${heading("Next Targets:")}
+                ${nextAugList || muted("Analyzing...")}
+            </div>
+        `;
+    },
+});
+
+// --- Stat grinding ---------------------------------------------------------------------------
+
+registerPanel("stat-grinder", {
+    title: "Stat Grinder",
+    color: "#ffaa44",
+    render(statData) {
+        if (statData.guidanceMode) {
+            const rec = statData.recommendation;
+            if (!rec) {
+                return `<div style="margin-left: 10px; color: #88ff88; font-size: 11px;">All faction targets met!</div>`;
+            }
+            const priorityColor = rec.priority === "HIGH" ? "#ff6666" : rec.priority === "MEDIUM" ? "#ffaa00" : "#88ff88";
+            return `
+                <div style="margin-left: 10px; line-height: 1.3;">
+                    ${heading("Recommended:")}
+                    ${line(`<span style="color: #00ff88;">${rec.type}</span> <span style="color: #888;">(${rec.current}/${rec.target})</span>`)}
+                    <div style="margin-left: 15px; font-size: 10px; color: #aaa;">${escapeHtml(rec.location)} - ${escapeHtml(rec.activity)}</div>
+                    <div style="margin-left: 15px; font-size: 10px;">Priority: <span style="color: ${priorityColor};">${rec.priority}</span></div>
+                </div>
+            `;
+        }
+
+        if (!statData.isActive) {
+            return muted("Idle - waiting for player to be free");
+        }
+
+        const target = statData.currentTarget;
+        const targetInfo = target ?
+            line(`<span style="color: #00ff88;">${target.type}</span> <span style="color: #888;">(${target.current}/${target.current + target.need})</span>`) : "";
+        const milestoneInfo = statData.milestone ?
+            line(`Target: <span style="color: #ffaa00;">${escapeHtml(statData.milestone.factions.join(", "))}</span>`) : "";
+
+        return `
+            <div style="margin-left: 10px; line-height: 1.3;">
+                ${heading("Training:")}
+                ${targetInfo}
+                ${heading("Progress:")}
+                ${line(`<span style="color: #88ff88;">${statData.progress ? statData.progress.toFixed(1) : "0.0"}/min</span>`)}
+                ${milestoneInfo}
+            </div>
+        `;
+    },
+});
+
+// --- Go --------------------------------------------------------------------------------------
+
+registerPanel("go", {
+    title: "Go Player",
+    color: "#88aaff",
+    render(goData) {
+        if (!goData.isActive) {
+            if (!goData.sessionComplete) return muted("Inactive");
+            return `
+                <div style="margin-left: 10px; line-height: 1.3;">
+                    <div style="color: #88ff88; font-size: 12px; margin-bottom: 3px;">Session Complete!</div>
+                    ${line(`vs <span style="color: #ffaa00;">${escapeHtml(goData.currentOpponent)}</span>`)}
+                    ${line(`<span style="color: #88ff88;">${goData.gamesPlayed}/${goData.maxGames}</span> games played`)}
+                    ${heading("Final Stats:")}
+                    ${line(`<span style="color: #88ff88;">${goData.finalStats.wins}W</span> - <span style="color: #ff8888;">${goData.finalStats.losses}L</span>`)}
+                    ${line(`Win Rate: <span style="color: #ffaa00;">${goData.finalStats.winRate}%</span>`)}
+                </div>
+            `;
+        }
+
+        const games = goData.opponentStats.wins + goData.opponentStats.losses;
+        const winRate = games > 0 ? (goData.opponentStats.wins / games * 100).toFixed(1) : "0.0";
+        return `
+            <div style="margin-left: 10px; line-height: 1.3;">
+                ${heading("Current Game:")}
+                ${line(`vs <span style="color: #ffaa00;">${escapeHtml(goData.currentOpponent)}</span>`)}
+                <div style="margin-left: 15px; font-size: 10px; color: #888;">Player: ${goData.gameState.currentPlayer}</div>
+                ${heading("Session:")}
+                ${line(`<span style="color: #88ff88;">${goData.gamesPlayed}/${goData.maxGames}</span> games`)}
+                <div style="margin-left: 15px; font-size: 10px;">Win Rate: <span style="color: #ffff88;">${winRate}%</span></div>
+            </div>
+        `;
+    },
+});
+
+// --- Contracts -------------------------------------------------------------------------------
+
+registerPanel("contracts", {
+    title: "Contracts",
+    color: "#ff8844",
+    render(data) {
+        const unsolved = (data.unsolved || []).slice(0, 3).map(entry =>
+            line(`${escapeHtml(entry.type)} <span style="color: #888;">on ${escapeHtml(entry.host)} - ${escapeHtml(entry.reason)}</span>`)
+        ).join("");
+        const more = (data.unsolved || []).length > 3 ? muted(`...and ${data.unsolved.length - 3} more`) : "";
+        return `
+            <div style="margin-left: 10px; line-height: 1.3;">
+                ${line(`Last scan: <span style="color: #88ff88;">${data.solved} solved</span>, ${data.failed} failed of ${data.found}`)}
+                ${heading("Left for manual solving:")}
+                ${unsolved || muted("None")}
+                ${more}
+            </div>
+        `;
+    },
+});
+
+// --- Income history --------------------------------------------------------------------------
+
+const HOUR = 60 * 60 * 1000;
+const MAX_CHART_POINTS = 120;
+let historyCache = { time: 0, points: [] }; // The ring file is only re-read when a new sample is published
+
+/**
+ * Inline SVG line chart of a series.
+ * @param {number[]} values
+ * @param {string} color
+ */
+function sparkline(values, color) {
+    const width = 300;
+    const height = 28;
+    if (values.length < 2) return muted("Collecting samples...");
+
+    const min = Math.min(...values);
+    const max = Math.max(...values);
+    const range = max - min || 1;
+    const points = values.map((value, i) =>
+        `${(i / (values.length - 1) * width).toFixed(1)},${(height - 2 - (value - min) / range * (height - 4)).toFixed(1)}`
+    ).join(" ");
+
+    return `<svg width="${width}" height="${height}" style="display: block; margin-left: 15px; background: #1a1a1a;">
+            <polyline points="${points}" fill="none" stroke="${color}" stroke-width="1.5"/>
+        </svg>`;
+}
+
+/** Average consecutive points into at most MAX_CHART_POINTS buckets */
+function downsample(points) {
+    if (points.length <= MAX_CHART_POINTS) return points;
+    const size = Math.ceil(points.length / MAX_CHART_POINTS);
+    const buckets = [];
+    for (let i = 0; i < points.length; i += size) {
+        const bucket = points.slice(i, i + size);
+        const average = key => bucket.reduce((sum, point) => sum + point[key], 0) / bucket.length;
+        buckets.push({ money: average("money"), income: average("income"), hackLevel: average("hackLevel"), xpRate: average("xpRate") });
+    }
+    return buckets;
+}
+
+/** Mean rate per key (source or target) across points */
+function averageBy(points, key) {
+    const totals = {};
+    for (const point of points) {
+        for (const [name, rate] of Object.entries(point[key])) {
+            totals[name] = (totals[name] || 0) + rate;
+        }
+    }
+    return Object.entries(totals)
+        .map(([name, total]) => [name, total / points.length])
+        .sort((a, b) => b[1] - a[1]);
+}
+
+function renderCharts(ns, points) {
+    const charts = [
+        ["Money", "money", "#ffaa00", value => `$${ns.formatNumber(value, 2)}`],
+        ["Income/s", "income", "#88ff88", value => `$${ns.formatNumber(value, 2)}/s`],
+        ["Hack level", "hackLevel", "#ff6600", value => Math.floor(value)],
+        ["Hack XP/s", "xpRate", "#00ddff", value => ns.formatNumber(value, 2)],
+    ];
+    return charts.map(([label, key, color, format]) => {
+        const values = points.map(point => point[key]);
+        const latest = values.length > 0 ? format(values[values.length - 1]) : "-";
+        return `${line(`${label}: <span style="color: ${color};">${latest}</span>`)}${sparkline(values, color)}`;
+    }).join("");
+}
+
+registerPanel("metrics", {
+    title: "Income History",
+    color: "#88ff88",
+    render(latest, { ns, envelope }) {
+        if (envelope.time !== historyCache.time) {
+            historyCache = { time: envelope.time, points: toRates(orderedSamples(loadRing(ns))) };
+        }
+        const points = historyCache.points;
+        const lastHour = points.filter(point => point.time >= latest.time - HOUR);
+        const sinceInstall = points.filter(point => point.time >= latest.lastAugReset);
+
+        const rateList = (entries, format) => entries.length > 0 ?
+            entries.slice(0, 5).map(([name, rate]) => line(`${escapeHtml(name)}: ${format(rate)}`)).join("") :
+            muted("Nothing yet");
+        const money = rate => `<span style="color: ${rate >= 0 ? "#88ff88" : "#ff6666"};">$${ns.formatNumber(rate, 2)}/s</span>`;
+        const goBonuses = Object.entries(latest.goBonus || {})
+            .map(([opponent, percent]) => `${escapeHtml(opponent)} +${percent.toFixed(1)}%`)
+            .join(", ");
+
+        return `
+            <div style="margin-left: 10px; line-height: 1.3;">
+                ${heading("Last hour:")}
+                ${renderCharts(ns, lastHour)}
+                ${heading(`Since install (${ns.tFormat(latest.time - latest.lastAugReset)}):`)}
+                ${renderCharts(ns, downsample(sinceInstall))}
+                ${heading("Income by source (last hour):")}
+                ${rateList(averageBy(lastHour, "sources"), money)}
+                ${heading("Hacking by target (last hour):")}
+                ${rateList(averageBy(lastHour, "targets"), money)}
+                ${goBonuses ? `${heading("Go bonuses:")}${line(goBonuses)}` : ""}
+            </div>
+        `;
+    },
+});
@@ -1,9 +1,23 @@
-/** @param {NS} ns */
+import { CHANNELS, getChannel, read } from "../lib/bus.js";
+import { getPanel, renderJsonTree, escapeHtml } from "./panels.js";
+
+/**
+ * Dashboard window with one panel per bus channel. Panels are drawn by the renderers registered
+ * in monitoring/panels.js; channels without one get a generic JSON tree. Click a panel title to
+ * collapse it, use ▲/▼ to reorder. Order, collapsed panels and window position are saved to
+ * CONFIG.LAYOUT_FILE and restored on the next start.
+ *
+ * Usage: run monitoring/port-monitor.js [channel ...]   (names or port numbers; default: every channel)
+ *
+ * @param {NS} ns
+ */
 export async function main(ns) {
     const config = {
-        defaultPorts: [1, 2, 3, 4, 5],
+        LAYOUT_FILE: "/state/dashboard.txt",
         updateInterval: 1000,
         popupId: "bitburner-port-monitor",
+        expandedWidth: 350,
+        minimizedWidth: 200,
         styles: {
             popup: {
                 position: "absolute",
@@ -31,16 +45,23 @@ export async function main(ns) {
             },
             content: {
                 padding: "10px",
-                maxHeight: "400px",
+                maxHeight: "500px",
                 overflowY: "auto"
             },
-            portItem: {
+            panel: {
                 marginBottom: "8px",
                 padding: "6px",
                 backgroundColor: "#222",
                 borderRadius: "3px",
                 borderLeft: "3px solid #00ff00"
             },
+            panelHeader: {
+                display: "flex",
+                justifyContent: "space-between",
+                alignItems: "center",
+                fontWeight: "bold",
+                cursor: "pointer"
+            },
             button: {
                 backgroundColor: "#444",
                 border: "none",
@@ -50,22 +71,35 @@ export async function main(ns) {
                 marginLeft: "5px",
                 borderRadius: "2px",
                 fontSize: "14px"
+            },
+            smallButton: {
+                backgroundColor: "transparent",
+                border: "none",
+                color: "#888",
+                cursor: "pointer",
+                padding: "0 4px",
+                fontSize: "11px"
             }
         }
     };
 
-    class PortMonitor {
-        constructor(ns, portNumbers) {
+    class Dashboard {
+        constructor(ns, channels, layout) {
             this.ns = ns;
-            this.portNumbers = portNumbers;
+            this.layout = layout;
             this.isRunning = true;
-            this.isMinimized = false;
+            this.layoutDirty = false; // Saved from the main loop: ns calls don't belong in DOM handlers
             this.popup = null;
             this.contentElement = null;
             this.minimizeButton = null;
-            this.expandedWidth = 350;
-            this.minimizedWidth = 200;
-            this.rightEdgePosition = null; // Store the right edge position
+            this.openTreePaths = new Set(); // Expanded nodes of generic JSON trees
+
+            // Saved order first, then any channel the layout hasn't seen yet
+            const rank = channel => {
+                const index = layout.order.indexOf(channel.name);
+                return index === -1 ? layout.order.length + channels.indexOf(channel) : index;
+            };
+            this.channels = [...channels].sort((a, b) => rank(a) - rank(b));
 
             this.init();
         }
@@ -73,8 +107,8 @@ export async function main(ns) {
         init() {
             this.cleanup();
             this.createUI();
-            // Start the update loop but don't await it here
-            this.startMonitoring();
+            this.ns.tprint(`Dashboard started - channels: ${this.channels.map(c => c.name).join(", ")}`);
+            this.updateDisplay();
         }
 
         cleanup() {
@@ -86,15 +120,25 @@ export async function main(ns) {
 
         createUI() {
             this.popup = this.createElement("div", config.popupId, config.styles.popup);
+            if (this.layout.left !== undefined) this.popup.style.left = `${this.layout.left}px`;
+            if (this.layout.top !== undefined) this.popup.style.top = `${this.layout.top}px`;
 
             const titleBar = this.createTitleBar();
             this.contentElement = this.createElement("div", null, config.styles.content);
+            // toggle doesn't bubble, so listen in the capture phase for JSON tree nodes
+            this.contentElement.addEventListener("toggle", event => {
+                const path = event.target.dataset && event.target.dataset.path;
+                if (!path) return;
+                if (event.target.open) this.openTreePaths.add(path);
+                else this.openTreePaths.delete(path);
+            }, true);
 
             this.popup.appendChild(titleBar);
             this.popup.appendChild(this.contentElement);
 
             this.makeDraggable();
             this.appendToDOM();
+            if (this.layout.minimized) this.setMinimized(true);
         }
 
         createElement(tag, id = null, styles = {}) {
@@ -108,11 +152,11 @@ export async function main(ns) {
             const titleBar = this.createElement("div", null, config.styles.titleBar);
 
             const title = document.createElement("span");
-            title.textContent = "Port Monitor";
+            title.textContent = "Dashboard";
 
             const buttonContainer = document.createElement("div");
 
-            this.minimizeButton = this.createButton("-", () => this.toggleMinimize());
+            this.minimizeButton = this.createButton("-", () => this.setMinimized(!this.layout.minimized));
             const closeButton = this.createButton("✕", () => this.close());
             closeButton.style.backgroundColor = "#ff4444";
 
@@ -125,60 +169,36 @@ export async function main(ns) {
             return titleBar;
         }
 
-        createButton(text, onClick) {
-            const button = this.createElement("button", null, config.styles.button);
+        createButton(text, onClick, styles = config.styles.button) {
+            const button = this.createElement("button", null, styles);
             button.textContent = text;
             button.onclick = onClick;
             return button;
         }
 
-        toggleMinimize() {
-            this.isMinimized = !this.isMinimized;
-            this.contentElement.style.display = this.isMinimized ? "none" : "block";
-
-            // Get border width (we have 1px border on left and right)
+        setMinimized(minimized) {
+            // Keep the right edge fixed while the width changes
             const borderWidth = 2; // 1px left + 1px right
+            const rightEdge = this.popup.offsetLeft + this.popup.offsetWidth - borderWidth;
+            const width = minimized ? config.minimizedWidth : config.expandedWidth;
 
-            // Always capture the current right edge position before making changes
-            // Subtract border width to get the content edge
-            this.rightEdgePosition = this.popup.offsetLeft + this.popup.offsetWidth - borderWidth;
-
-            // Expand/contract to the left using current right edge position
-            if (this.isMinimized) {
-                // Minimizing: reduce width, keep right edge fixed
-                this.popup.style.width = this.minimizedWidth + "px";
-                this.popup.style.left = (this.rightEdgePosition - this.minimizedWidth) + "px";
-            } else {
-                // Expanding: increase width, keep right edge fixed
-                this.popup.style.width = this.expandedWidth + "px";
-                this.popup.style.left = (this.rightEdgePosition - this.expandedWidth) + "px";
+            this.contentElement.style.display = minimized ? "none" : "block";
+            this.popup.style.width = width + "px";
+            if (this.popup.offsetWidth > 0 && minimized !== this.layout.minimized) {
+                this.popup.style.left = (rightEdge - width) + "px";
             }
+            this.minimizeButton.textContent = minimized ? "+" : "-";
 
-            this.minimizeButton.textContent = this.isMinimized ? "+" : "-";
+            if (minimized !== this.layout.minimized) {
+                this.layout.minimized = minimized;
+                this.rememberPosition();
+            }
         }
 
         close() {
-            try {
-                this.ns.tprint("Port Monitor: User clicked close button");
-            } catch (e) {
-                // Script may already be killed, ignore
-            }
-
             this.isRunning = false;
-
             if (this.popup) {
                 this.popup.remove();
-                try {
-                    this.ns.tprint("Port Monitor: UI removed from DOM");
-                } catch (e) {
-                    // Script may already be killed, ignore
-                }
-            }
-
-            try {
-                this.ns.tprint("Port Monitor: Script termination initiated");
-            } catch (e) {
-                // Script may already be killed, ignore
             }
         }
 
@@ -203,357 +223,168 @@ export async function main(ns) {
             };
 
             document.onmouseup = () => {
+                if (isDragging) this.rememberPosition();
                 isDragging = false;
             };
         }
 
+        rememberPosition() {
+            this.layout.left = this.popup.offsetLeft;
+            this.layout.top = this.popup.offsetTop;
+            this.layoutDirty = true;
+        }
+
         appendToDOM() {
             const rootElement = document.getElementById("root");
             if (rootElement) {
                 rootElement.appendChild(this.popup);
-                // Store the initial right edge position after appending to DOM
-                setTimeout(() => {
-                    this.rightEdgePosition = this.popup.offsetLeft + this.popup.offsetWidth;
-                }, 0);
             } else {
                 this.ns.tprint("ERROR: Could not find #root element");
                 this.isRunning = false;
             }
         }
 
-        formatPortData(portNumber, portValue) {
-            if (portValue === "NULL PORT DATA") {
-                return `<div style="color: #666;">Port ${portNumber}: No Data</div>`;
-            }
+        toggleCollapsed(channel) {
+            this.layout.collapsed[channel.name] = !this.layout.collapsed[channel.name];
+            this.layoutDirty = true;
+            this.updateDisplay();
+        }
 
-            // Special formatting for status port (port 2)
-            if (portNumber === 2) {
-                try {
-                    const statusData = JSON.parse(portValue);
-
-                    // Calculate current time remaining based on when the data was last updated
-                    const currentTime = Date.now();
-                    const timeSinceUpdate = Math.floor((currentTime - statusData.lastUpdate) / 1000);
-                    const adjustedTimeRemaining = Math.max(0, statusData.nextDiscovery - timeSinceUpdate);
-
-                    const minutes = Math.floor(adjustedTimeRemaining / 60);
-                    const seconds = adjustedTimeRemaining % 60;
-
-                    // Debug: Check sync occasionally
-                    if (Math.random() < 0.1) { // 10% chance to log
-                        try {
-                            this.ns.print(`SYNC DEBUG: Original=${statusData.nextDiscovery}s, TimeSince=${timeSinceUpdate}s, Adjusted=${adjustedTimeRemaining}s`);
-                        } catch (e) {}
-                    }
-
-                    // Get income rates
-                    const hacknetIncome = this.ns.hacknet.numNodes() > 0 ?
-                        Array.from({length: this.ns.hacknet.numNodes()}, (_, i) =>
-                            this.ns.hacknet.getNodeStats(i).production
-                        ).reduce((a, b) => a + b, 0) : 0;
-
-                    const scriptIncome = this.getScriptIncome();
-                    const totalIncome = hacknetIncome + scriptIncome;
-
-                    return `
-                        <div style="color: #00ddff; font-weight: bold;">System Status</div>
-                        <div style="margin-left: 10px; line-height: 1.4;">
-                            <div>Next Discovery: <span style="color: #ffff00;">${minutes}m ${seconds}s</span></div>
-                            <div>Interval: ${statusData.discoveryInterval}s</div>
-                            <div>Hack Level: <span style="color: #ff6600;">${statusData.hackLevel}</span></div>
-                            <div style="color: #00ddff; font-size: 12px; margin: 5px 0 3px 0;">Income/sec:</div>
-                            <div style="margin-left: 15px; font-size: 11px;">
-                                Scripts: <span style="color: #88ff88;">$${this.ns.formatNumber(scriptIncome, 3)}/s</span>
-                            </div>
-                            <div style="margin-left: 15px; font-size: 11px;">
-                                Hacknet: <span style="color: #88ff88;">$${this.ns.formatNumber(hacknetIncome, 3)}/s</span>
-                            </div>
-                            <div style="margin-left: 15px; font-size: 11px; border-top: 1px solid #444; padding-top: 2px; margin-top: 2px;">
-                                Total: <span style="color: #ffaa00; font-weight: bold;">$${this.ns.formatNumber(totalIncome, 3)}/s</span>
-                            </div>
-                        </div>
-                    `;
-                } catch (e) {
-                    return `<div>Port ${portNumber}: <span style="color: #ff6666;">[Invalid JSON: ${e.message}]</span></div>`;
-                }
-            }
+        move(channel, offset) {
+            const index = this.channels.indexOf(channel);
+            const target = index + offset;
+            if (target < 0 || target >= this.channels.length) return;
 
-            // Special formatting for augmentation port (port 3)
-            if (portNumber === 3) {
-                try {
-                    const augData = JSON.parse(portValue);
-
-                    let factionList = "";
-                    if (augData.topFactions && augData.topFactions.length > 0) {
-                        factionList = augData.topFactions.slice(0, 3).map((faction, i) =>
-                            `<div style="margin-left: 15px; font-size: 11px;">
-                                ${i + 1}. <span style="color: #ffaa00;">${faction.name}</span>
-                                <span style="color: #888;">(${Math.round(faction.score)})</span>
-                            </div>`
-                        ).join("");
-                    }
-
-                    let nextAugList = "";
-                    if (augData.nextAugmentations && augData.nextAugmentations.length > 0) {
-                        nextAugList = augData.nextAugmentations.slice(0, 2).map((aug, i) =>
-                            `<div style="margin-left: 15px; font-size: 11px;">
-                                ${i + 1}. <span style="color: #00ff88;">${aug.name}</span>
-                                <div style="margin-left: 15px; color: #888; font-size: 10px;">
-                                    $${(aug.price / 1000000).toFixed(1)}M, ${(aug.repReq / 1000).toFixed(1)}k rep
-                                </div>
-                            </div>`
-                        ).join("");
-                    }
-
-                    return `
-                        <div style="color: #ff88ff; font-weight: bold;">Augmentation Plan</div>
-                        <div style="margin-left: 10px; line-height: 1.3;">
-                            <div style="color: #00ddff; font-size: 12px; margin-bottom: 3px;">Priority Factions:</div>
-                            ${factionList || '<div style="margin-left: 15px; color: #888; font-size: 11px;">Planning...</div>'}
-                            <div style="color: #00ddff; font-size: 12px; margin: 5px 0 3px 0;">Next Targets:</div>
-                            ${nextAugList || '<div style="margin-left: 15px; color: #888; font-size: 11px;">Analyzing...</div>'}
-                        </div>
-                    `;
-                } catch (e) {
-                    return `<div>Port ${portNumber}: <span style="color: #ff6666;">[Invalid JSON: ${e.message}]</span></div>`;
-                }
-            }
+            [this.channels[index], this.channels[target]] = [this.channels[target], this.channels[index]];
+            this.layout.order = this.channels.map(c => c.name);
+            this.layoutDirty = true;
+            this.updateDisplay();
+        }
 
-            // Special formatting for stat grinder port (port 4)
-            if (portNumber === 4) {
-                try {
-                    const statData = JSON.parse(portValue);
-
-                    if (statData.guidanceMode) {
-                        const rec = statData.recommendation;
-                        if (!rec) {
-                            return `
-                                <div style="color: #ffaa44; font-weight: bold;">Stat Guidance</div>
-                                <div style="margin-left: 10px; color: #88ff88; font-size: 11px;">
-                                    All faction targets met!
-                                </div>
-                            `;
-                        }
-
-                        return `
-                            <div style="color: #ffaa44; font-weight: bold;">Stat Guidance</div>
-                            <div style="margin-left: 10px; line-height: 1.3;">
-                                <div style="color: #00ddff; font-size: 12px; margin-bottom: 3px;">Recommended:</div>
-                                <div style="margin-left: 15px; font-size: 11px;">
-                                    <span style="color: #00ff88;">${rec.type}</span>
-                                    <span style="color: #888;"> (${rec.current}/${rec.target})</span>
-                                </div>
-                                <div style="margin-left: 15px; font-size: 10px; color: #aaa;">
-                                    ${rec.location} - ${rec.activity}
-                                </div>
-                                <div style="margin-left: 15px; font-size: 10px;">
-                                    Priority: <span style="color: ${rec.priority === 'HIGH' ? '#ff6666' : rec.priority === 'MEDIUM' ? '#ffaa00' : '#88ff88'};">${rec.priority}</span>
-                                </div>
-                            </div>
-                        `;
-                    }
-
-                    if (!statData.isActive) {
-                        return `
-                            <div style="color: #ffaa44; font-weight: bold;">Stat Grinder</div>
-                            <div style="margin-left: 10px; color: #888; font-size: 11px;">
-                                Idle - waiting for player to be free
-                            </div>
-                        `;
-                    }
-
-                    const targetInfo = statData.currentTarget ?
-                        `<div style="margin-left: 15px; font-size: 11px;">
-                            <span style="color: #00ff88;">${statData.currentTarget.type}</span>
-                            <span style="color: #888;"> (${statData.currentTarget.current}/${statData.currentTarget.current + statData.currentTarget.need})</span>
-                         </div>` : "";
-
-                    const milestoneInfo = statData.milestone ?
-                        `<div style="margin-left: 15px; font-size: 11px;">
-                            Target: <span style="color: #ffaa00;">${statData.milestone.factions.join(", ")}</span>
-                         </div>` : "";
-
-                    return `
-                        <div style="color: #ffaa44; font-weight: bold;">Stat Grinder</div>
-                        <div style="margin-left: 10px; line-height: 1.3;">
-                            <div style="color: #00ddff; font-size: 12px; margin-bottom: 3px;">Training:</div>
-                            ${targetInfo}
-                            <div style="color: #00ddff; font-size: 12px; margin: 5px 0 3px 0;">Progress:</div>
-                            <div style="margin-left: 15px; font-size: 11px;">
-                                <span style="color: #88ff88;">${statData.progress ? statData.progress.toFixed(1) : '0.0'}/min</span>
-                            </div>
-                            ${milestoneInfo}
-                        </div>
-                    `;
-                } catch (e) {
-                    return `<div>Port ${portNumber}: <span style="color: #ff6666;">[Invalid JSON: ${e.message}]</span></div>`;
-                }
-            }
+        renderPanel(channel) {
+            const panel = getPanel(channel.name);
+            const title = panel ? panel.title : channel.name;
+            const color = panel ? panel.color : "#888";
+            const collapsed = Boolean(this.layout.collapsed[channel.name]);
+
+            const element = this.createElement("div", null, config.styles.panel);
+            element.style.borderLeftColor = color;
+
+            const header = this.createElement("div", null, config.styles.panelHeader);
+            const label = document.createElement("span");
+            label.style.color = color;
+            label.textContent = `${collapsed ? "▸" : "▾"} ${title}`;
+            header.onclick = () => this.toggleCollapsed(channel);
+
+            const controls = document.createElement("span");
+            const stopAndRun = action => event => {
+                event.stopPropagation(); // Don't also toggle the panel
+                action();
+            };
+            controls.appendChild(this.createButton("▲", stopAndRun(() => this.move(channel, -1)), config.styles.smallButton));
+            controls.appendChild(this.createButton("▼", stopAndRun(() => this.move(channel, 1)), config.styles.smallButton));
 
-            // Special formatting for Go player port (port 5)
-            if (portNumber === 5) {
-                try {
-                    const goData = JSON.parse(portValue);
-
-                    if (!goData.isActive) {
-                        if (goData.sessionComplete) {
-                            // Show session completion summary
-                            return `
-                                <div style="color: #88aaff; font-weight: bold;">Go Player</div>
-                                <div style="margin-left: 10px; line-height: 1.3;">
-                                    <div style="color: #88ff88; font-size: 12px; margin-bottom: 3px;">Session Complete!</div>
-                                    <div style="margin-left: 15px; font-size: 11px;">
-                                        vs <span style="color: #ffaa00;">${goData.currentOpponent}</span>
-                                    </div>
-                                    <div style="margin-left: 15px; font-size: 11px;">
-                                        <span style="color: #88ff88;">${goData.gamesPlayed}/${goData.maxGames}</span> games played
-                                    </div>
-                                    <div style="color: #00ddff; font-size: 12px; margin: 5px 0 3px 0;">Final Stats:</div>
-                                    <div style="margin-left: 15px; font-size: 11px;">
-                                        <span style="color: #88ff88;">${goData.finalStats.wins}W</span> -
-                                        <span style="color: #ff8888;">${goData.finalStats.losses}L</span>
-                                    </div>
-                                    <div style="margin-left: 15px; font-size: 11px;">
-                                        Win Rate: <span style="color: #ffaa00;">${goData.finalStats.winRate}%</span>
-                                    </div>
-                                </div>
-                            `;
-                        } else {
-                            // Standard inactive state
-                            return `
-                                <div style="color: #88aaff; font-weight: bold;">Go Player</div>
-                                <div style="margin-left: 10px; color: #888; font-size: 11px;">
-                                    Inactive
-                                </div>
-                            `;
-                        }
-                    }
-
-                    const winRate = goData.opponentStats.wins + goData.opponentStats.losses > 0 ?
-                        (goData.opponentStats.wins / (goData.opponentStats.wins + goData.opponentStats.losses) * 100).toFixed(1) : "0.0";
-
-                    return `
-                        <div style="color: #88aaff; font-weight: bold;">Go Player</div>
-                        <div style="margin-left: 10px; line-height: 1.3;">
-                            <div style="color: #00ddff; font-size: 12px; margin-bottom: 3px;">Current Game:</div>
-                            <div style="margin-left: 15px; font-size: 11px;">
-                                vs <span style="color: #ffaa00;">${goData.currentOpponent}</span>
-                            </div>
-                            <div style="margin-left: 15px; font-size: 10px; color: #888;">
-                                Player: ${goData.gameState.currentPlayer}
-                            </div>
-                            <div style="color: #00ddff; font-size: 12px; margin: 5px 0 3px 0;">Session:</div>
-                            <div style="margin-left: 15px; font-size: 11px;">
-                                <span style="color: #88ff88;">${goData.gamesPlayed}/${goData.maxGames}</span> games
-                            </div>
-                            <div style="margin-left: 15px; font-size: 10px;">
-                                Win Rate: <span style="color: #ffff88;">${winRate}%</span>
-                            </div>
-                        </div>
-                    `;
-                } catch (e) {
-                    return `<div>Port ${portNumber}: <span style="color: #ff6666;">[Invalid JSON: ${e.message}]</span></div>`;
-                }
-            }
+            header.appendChild(label);
+            header.appendChild(controls);
+            element.appendChild(header);
 
-            // Standard port formatting
-            return `<div>Port ${portNumber}: <span style="color: #66ff66;">${portValue}</span></div>`;
+            if (!collapsed) {
+                const body = document.createElement("div");
+                body.innerHTML = this.renderBody(channel, panel);
+                element.appendChild(body);
+            }
+            return element;
         }
 
-        updateDisplay() {
-            if (this.isMinimized) {
-                try { this.ns.print("DEBUG: Skipping update - minimized"); } catch (e) {}
-                return;
+        renderBody(channel, panel) {
+            let envelope;
+            try {
+                envelope = read(this.ns, channel);
+            } catch (e) {
+                return `<div style="color: #666;">Script terminated</div>`;
+            }
+            if (!envelope) {
+                return `<div style="color: #666;">No Data</div>`;
             }
 
-            if (!this.contentElement) {
-                try { this.ns.print("ERROR: contentElement is null!"); } catch (e) {}
-                return;
+            try {
+                if (panel) return panel.render(envelope.data, { ns: this.ns, envelope });
+                return `<div style="font-size: 11px;">${renderJsonTree(envelope.data, this.openTreePaths, `$${channel.name}`)}</div>`;
+            } catch (e) {
+                return `<div><span style="color: #ff6666;">[Invalid data: ${escapeHtml(e.message)}]</span></div>`;
             }
+        }
+
+        updateDisplay() {
+            if (this.layout.minimized || !this.contentElement) return;
 
-            try { this.ns.print("DEBUG: Updating display..."); } catch (e) {}
             this.contentElement.innerHTML = "";
 
-            // Add timestamp to verify updates are happening
-            const timestamp = new Date().toLocaleTimeString();
+            // Timestamp to show updates are happening
             const timestampElement = this.createElement("div", null, {
                 fontSize: "10px",
                 color: "#888",
                 textAlign: "right",
                 marginBottom: "5px"
             });
-            timestampElement.textContent = `Updated: ${timestamp}`;
+            timestampElement.textContent = `Updated: ${new Date().toLocaleTimeString()}`;
             this.contentElement.appendChild(timestampElement);
-            try { this.ns.print(`DEBUG: Added timestamp: ${timestamp}`); } catch (e) {}
-
-            this.portNumbers.forEach(portNumber => {
-                let portValue;
-                try {
-                    portValue = this.ns.peek(portNumber);
-                } catch (e) {
-                    portValue = "Script terminated";
-                }
-                const portItem = this.createElement("div", null, config.styles.portItem);
-                const formattedData = this.formatPortData(portNumber, portValue);
-                portItem.innerHTML = formattedData;
-                this.contentElement.appendChild(portItem);
-                try { this.ns.print(`DEBUG: Added port ${portNumber} with ${formattedData.length} chars`); } catch (e) {}
-            });
 
-            try { this.ns.print(`DEBUG: Display update complete. Content children: ${this.contentElement.children.length}`); } catch (e) {}
+            for (const channel of this.channels) {
+                this.contentElement.appendChild(this.renderPanel(channel));
+            }
         }
+    }
 
-        startMonitoring() {
-            this.ns.tprint(`Port Monitor started - monitoring ports: ${this.portNumbers.join(", ")}`);
-            // Just update once to show initial state
-            this.updateDisplay();
+    function loadLayout() {
+        const defaults = { order: [], collapsed: {}, minimized: false };
+        try {
+            const content = ns.read(config.LAYOUT_FILE);
+            return content ? { ...defaults, ...JSON.parse(content) } : defaults;
+        } catch (error) {
+            ns.print(`Could not read ${config.LAYOUT_FILE}, using the default layout: ${error.message}`);
+            return defaults;
         }
+    }
 
-        getScriptIncome() {
-            try {
-                // Get income from script processes
-                const scriptIncome = this.ns.getScriptIncome();
-                return scriptIncome[0] || 0; // getScriptIncome returns [income, exp]
-            } catch (error) {
-                // Fallback: estimate based on current money growth
-                return 0;
-            }
+    function saveLayout(layout) {
+        try {
+            ns.write(config.LAYOUT_FILE, JSON.stringify(layout), "w");
+        } catch (error) {
+            ns.print(`Could not save ${config.LAYOUT_FILE}: ${error.message}`);
         }
     }
 
-    // Initialize with command line args or default ports
-    const portNumbers = ns.args.length > 0 ? ns.args : config.defaultPorts;
-    const monitor = new PortMonitor(ns, portNumbers);
+    // Initialize with command line args (channel names or port numbers) or every channel
+    const allChannels = Object.values(CHANNELS);
+    const channels = ns.args.length > 0 ?
+        ns.args
+            .map(arg => getChannel(String(arg)) || allChannels.find(c => c.port === Number(arg)))
+            .filter(Boolean) :
+        allChannels;
+    if (channels.length === 0) {
+        ns.tprint(`ERROR: No known channels in ${ns.args.join(", ")}`);
+        return;
+    }
 
-    // Main monitoring loop - like the original
-    let updateCount = 0;
-    while (monitor.isRunning) {
-        updateCount++;
+    const dashboard = new Dashboard(ns, channels, loadLayout());
 
-        // Debug: Check if popup still exists in DOM
+    while (dashboard.isRunning) {
         if (!document.getElementById(config.popupId)) {
-            ns.tprint("ERROR: Port monitor popup no longer exists in DOM!");
+            ns.tprint("ERROR: Dashboard popup no longer exists in DOM!");
             break;
         }
 
-        monitor.updateDisplay();
+        dashboard.updateDisplay();
 
-        // Debug logging every 5 updates
-        if (updateCount % 5 === 0) {
-            try {
-                ns.print(`DEBUG Update #${updateCount}: isMinimized=${monitor.isMinimized}`);
-                portNumbers.forEach(port => {
-                    const value = ns.peek(port);
-                    ns.print(`DEBUG: Port ${port} = ${value.substring(0, 50)}${value.length > 50 ? '...' : ''}`);
-                });
-            } catch (e) {
-                // Script being killed, exit gracefully
-                break;
-            }
+        if (dashboard.layoutDirty) {
+            saveLayout(dashboard.layout);
+            dashboard.layoutDirty = false;
         }
 
         await ns.sleep(config.updateInterval);
     }
 
-    ns.tprint("Port Monitor: Script terminated");
-}
\ No newline at end of file
+    if (dashboard.layoutDirty) saveLayout(dashboard.layout);
+    ns.tprint("Dashboard: Script terminated");
+}
@@ -0,0 +1,82 @@
+import { connectString, getPath, getServer, isStale, loadNetwork, refreshHost } from "../lib/network.js";
+
+/**
+ * Print the hop path to a host, or the whole network as a tree.
+ *
+ * Usage: run utils/route.js <host>   path and a connect string to paste into the terminal
+ *        run utils/route.js [--tree]  every known host, annotated with root, ports, RAM and backdoor
+ *
+ * @param {NS} ns
+ */
+export async function main(ns) {
+    const network = loadNetwork(ns);
+    if (network.servers.length === 0) {
+        ns.tprint("ERROR: No discovery data yet. Run discovery/server-discovery.js first.");
+        return;
+    }
+    if (network.version < 2) {
+        ns.tprint("ERROR: Discovery data has no topology. Re-run discovery/server-discovery.js.");
+        return;
+    }
+    if (isStale(network)) {
+        ns.tprint(`WARNING: Discovery data is ${formatAge(Date.now() - network.updatedAt)} old; new hosts may be missing.`);
+    }
+
+    const target = ns.args.find(arg => !String(arg).startsWith("--"));
+    if (target === undefined || ns.args.includes("--tree")) {
+        printTree();
+        return;
+    }
+
+    const hostname = String(target);
+    const path = getPath(network, hostname);
+    if (!path) {
+        ns.tprint(`ERROR: ${hostname} is not in the discovery data.`);
+        return;
+    }
+
+    const server = refreshHost(ns, network, hostname);
+    ns.tprint(`${hostname}: ${path.length - 1} hops [${describe(server)}]`);
+    ns.tprint(`  Path: ${path.join(" → ")}`);
+    ns.tprint(`  Connect: ${connectString(path)}`);
+
+    function printTree() {
+        const home = getServer(network, "home");
+        const lines = [`home [${describe(refreshHost(ns, network, "home"))}]`];
+        walk(home, "");
+        ns.tprint(`Network map (${network.servers.length} hosts):\n${lines.join("\n")}`);
+
+        function walk(server, prefix) {
+            server.children.forEach((child, index) => {
+                const last = index === server.children.length - 1;
+                const entry = refreshHost(ns, network, child);
+                if (!entry) return; // Bought servers that were deleted since discovery
+                lines.push(`${prefix}${last ? "└─ " : "├─ "}${child} [${describe(entry)}]`);
+                walk(entry, prefix + (last ? "   " : "│  "));
+            });
+        }
+    }
+
+    function describe(server) {
+        const parts = [
+            server.hasRootAccess ? "root" : "no root",
+            `${server.numPortsRequired} ports`,
+            server.maxRam > 0 ? ns.formatRam(server.maxRam) : "no RAM",
+        ];
+        if (server.backdoorInstalled) parts.push("backdoor");
+        return parts.join(", ");
+    }
+
+    function formatAge(ms) {
+        const minutes = Math.floor(ms / 60000);
+        return minutes < 60 ? `${minutes}m` : `${Math.floor(minutes / 60)}h ${minutes % 60}m`;
+    }
+}
+
+/**
+ * Tab completion: every hostname the terminal knows about.
+ * @param {AutocompleteData} data
+ */
+export function autocomplete(data) {
+    return [...data.servers, "--tree"];
+}
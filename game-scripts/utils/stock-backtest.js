@@ -0,0 +1,149 @@
+import { createForecastEstimator } from "../lib/stock-forecast.js";
+
+/**
+ * Replay a recorded tick log through the pre-4S forecast estimator and a simulated trader.
+ * Record ticks with: run managers/stock-trader.js --record (the log keeps the most recent ticks only)
+ *
+ * Usage: run utils/stock-backtest.js [file] [startingCash] [--shorts]
+ *
+ * @param {NS} ns
+ */
+export async function main(ns) {
+    const CONFIG = {
+        TICK_LOG: "/stocks/ticks.txt",
+        STARTING_CASH: 1_000_000_000,
+        COMMISSION: 100_000,
+        POSITION_SHARE: 0.1, // Max share of net worth in a single stock (matches the trader)
+        THRESHOLDS: {
+            BUY_LONG: 0.6,
+            SELL_LONG: 0.5,
+            BUY_SHORT: 0.4,
+            SELL_SHORT: 0.5,
+        },
+    };
+
+    const positional = ns.args.filter(arg => arg !== "--shorts");
+    const file = positional[0] || CONFIG.TICK_LOG;
+    const startingCash = Number(positional[1]) || CONFIG.STARTING_CASH;
+    const allowShorts = ns.args.includes("--shorts");
+
+    const ticks = loadTicks(file);
+    if (ticks.length < 2) {
+        ns.tprint(`ERROR: Need at least 2 recorded ticks in ${file} (found ${ticks.length})`);
+        ns.tprint("  Record some with: run managers/stock-trader.js --record");
+        return;
+    }
+
+    const estimator = createForecastEstimator();
+    const positions = {}; // symbol -> { shares, avgPrice, short: boolean }
+    let cash = startingCash;
+    let trades = 0;
+    let commissions = 0;
+
+    // Directional accuracy against recorded 4S forecasts (only when the log has them)
+    let compared = 0;
+    let agreed = 0;
+    let absError = 0;
+
+    for (const tick of ticks) {
+        const symbols = Object.keys(tick.prices);
+        for (const symbol of symbols) estimator.record(symbol, tick.prices[symbol]);
+
+        for (const symbol of symbols) {
+            if (!estimator.isReady(symbol)) continue;
+            const forecast = estimator.getForecast(symbol);
+            const price = tick.prices[symbol];
+
+            if (tick.forecasts && tick.forecasts[symbol] !== undefined) {
+                const actual = tick.forecasts[symbol];
+                compared++;
+                absError += Math.abs(forecast - actual);
+                if (forecast > 0.5 === actual > 0.5) agreed++;
+            }
+
+            // Close positions the estimate turned against
+            const position = positions[symbol];
+            if (position) {
+                const exit =
+                    (!position.short && forecast < CONFIG.THRESHOLDS.SELL_LONG) ||
+                    (position.short && forecast > CONFIG.THRESHOLDS.SELL_SHORT);
+                if (exit) closePosition(symbol, price);
+                continue;
+            }
+
+            // Open new positions with a fixed share of current net worth
+            const wantsLong = forecast > CONFIG.THRESHOLDS.BUY_LONG;
+            const wantsShort = allowShorts && forecast < CONFIG.THRESHOLDS.BUY_SHORT;
+            if (!wantsLong && !wantsShort) continue;
+
+            const budget = Math.min(cash - CONFIG.COMMISSION, netWorth(tick.prices) * CONFIG.POSITION_SHARE);
+            const shares = Math.floor(budget / price);
+            if (shares <= 0) continue;
+
+            cash -= shares * price + CONFIG.COMMISSION;
+            commissions += CONFIG.COMMISSION;
+            trades++;
+            positions[symbol] = { shares, avgPrice: price, short: wantsShort };
+        }
+    }
+
+    // Mark open positions to the last recorded prices
+    const finalPrices = ticks[ticks.length - 1].prices;
+    for (const symbol of Object.keys(positions)) closePosition(symbol, finalPrices[symbol]);
+
+    const profit = cash - startingCash;
+    const hours = (ticks[ticks.length - 1].time - ticks[0].time) / 3600000;
+
+    ns.tprint(`=== STOCK BACKTEST: ${file} ===`);
+    ns.tprint(`Ticks: ${ticks.length} (${hours.toFixed(1)}h) | Shorts: ${allowShorts ? "on" : "off"}`);
+    ns.tprint(`Start: $${ns.formatNumber(startingCash, 2)} | End: $${ns.formatNumber(cash, 2)}`);
+    ns.tprint(
+        `Profit: $${ns.formatNumber(profit, 2)} (${((profit / startingCash) * 100).toFixed(2)}%) | ` +
+            `Trades: ${trades} | Commissions: $${ns.formatNumber(commissions, 2)}`
+    );
+    if (compared > 0) {
+        ns.tprint(
+            `Estimator vs 4S: ${((agreed / compared) * 100).toFixed(1)}% same direction, ` +
+                `mean error ${(absError / compared).toFixed(3)} over ${compared} samples`
+        );
+    } else {
+        ns.tprint("No 4S forecasts in the log - record with 4S access to measure estimator accuracy");
+    }
+
+    function loadTicks(path) {
+        const content = ns.read(path);
+        if (!content) return [];
+
+        const result = [];
+        for (const line of content.split("\n")) {
+            if (!line.trim()) continue;
+            try {
+                const tick = JSON.parse(line);
+                if (tick.prices) result.push(tick);
+            } catch (error) {
+                // Skip lines cut off mid-write
+            }
+        }
+        return result;
+    }
+
+    function positionValue(position, price) {
+        // A short is worth its entry value plus the drop since
+        return position.short ? position.shares * (2 * position.avgPrice - price) : position.shares * price;
+    }
+
+    function netWorth(prices) {
+        let total = cash;
+        for (const [symbol, position] of Object.entries(positions)) {
+            total += positionValue(position, prices[symbol] ?? position.avgPrice);
+        }
+        return total;
+    }
+
+    function closePosition(symbol, price) {
+        cash += positionValue(positions[symbol], price) - CONFIG.COMMISSION;
+        commissions += CONFIG.COMMISSION;
+        trades++;
+        delete positions[symbol];
+    }
+}
@@ -0,0 +1,99 @@
+import { SOLVERS, solverFingerprint } from "../lib/contract-solvers.js";
+
+/**
+ * Self-test the contract solvers against the game: create a dummy contract of each type on home,
+ * solve it and submit the answer. Dummy contracts pay nothing, so failures cost nothing.
+ * Types that pass are marked verified, which lets managers/contract-solver.js spend a live contract's last try.
+ *
+ * Usage: run utils/test-contracts.js [rounds] [type filter]
+ *
+ * @param {NS} ns
+ */
+export async function main(ns) {
+    const CONFIG = {
+        LOG_FILE: "/contracts/self-test.txt", // Mismatches, one JSON line each
+        VERIFIED_FILE: "/contracts/verified.txt", // Shared with managers/contract-solver.js
+        DEFAULT_ROUNDS: 3, // Dummy contracts per type (data is random)
+    };
+
+    ns.disableLog("ALL");
+
+    const rounds = Number(ns.args[0]) || CONFIG.DEFAULT_ROUNDS;
+    const filter = ns.args[1] ? String(ns.args[1]).toLowerCase() : null;
+
+    let types;
+    try {
+        types = ns.codingcontract.getContractTypes();
+    } catch (error) {
+        types = Object.keys(SOLVERS);
+    }
+    if (filter) types = types.filter(type => type.toLowerCase().includes(filter));
+
+    const missing = types.filter(type => !SOLVERS[type]);
+    const verified = loadVerified();
+    let passed = 0;
+    let failed = 0;
+
+    for (const type of types.filter(type => SOLVERS[type])) {
+        let typePassed = true;
+        let typeAttempts = 0;
+        for (let round = 0; round < rounds; round++) {
+            const file = ns.codingcontract.createDummyContract(type);
+            if (!file) {
+                ns.tprint(`ERROR: Could not create a dummy "${type}" contract`);
+                break;
+            }
+
+            const data = ns.codingcontract.getData(file, "home");
+            typeAttempts++;
+            let answer;
+            let reward = "";
+            try {
+                answer = SOLVERS[type](structuredClone(data));
+                reward = ns.codingcontract.attempt(answer, file, "home");
+            } catch (error) {
+                answer = `threw: ${error.message}`;
+            }
+
+            if (reward) {
+                passed++;
+            } else {
+                failed++;
+                typePassed = false;
+                logMismatch(type, data, answer);
+            }
+
+            // Solved contracts vanish on their own; failed ones would pile up
+            if (ns.fileExists(file, "home")) ns.rm(file, "home");
+        }
+
+        if (typePassed && typeAttempts > 0) {
+            verified[type] = solverFingerprint(type);
+        } else {
+            delete verified[type];
+        }
+        await ns.sleep(0);
+    }
+    ns.write(CONFIG.VERIFIED_FILE, JSON.stringify(verified), "w");
+
+    ns.tprint(`=== CONTRACT SELF-TEST: ${passed} passed, ${failed} failed ===`);
+    if (failed > 0) ns.tprint(`  Mismatches logged to ${CONFIG.LOG_FILE}`);
+    if (missing.length > 0) ns.tprint(`  No solver for: ${missing.join(", ")}`);
+
+    function loadVerified() {
+        try {
+            const content = ns.read(CONFIG.VERIFIED_FILE);
+            return content ? JSON.parse(content) : {};
+        } catch (error) {
+            return {};
+        }
+    }
+
+    function logMismatch(type, data, answer) {
+        // Square Root data is a BigInt, which JSON can't encode by itself
+        const replacer = (key, value) => typeof value === "bigint" ? value.toString() : value;
+        ns.tprint(`✗ ${type}: data ${JSON.stringify(data, replacer)} -> ${JSON.stringify(answer, replacer)}`);
+        const entry = JSON.stringify({ time: Date.now(), type, data, answer }, replacer);
+        ns.write(CONFIG.LOG_FILE, entry + "\n", "a");
+    }
+}
@@ -1,7 +1,24 @@
-/** @param {NS} ns */
+import { CHANNELS, getChannel, publish } from "../lib/bus.js";
+
+/**
+ * Publish a test message on a bus channel.
+ *
+ * Usage: run utils/write-port.js [channel] [message]
+ *
+ * @param {NS} ns
+ */
 export async function main(ns) {
-  const port = ns.args[0] || 1;
+  const name = String(ns.args[0] || CHANNELS.TARGET.name);
   const msg = ns.args[1] || "Hi There";
-  ns.clearPort(port)
-  ns.writePort(port, msg);
-}
\ No newline at end of file
+  const channel = getChannel(name);
+  if (!channel) {
+    ns.tprint(`ERROR: Unknown channel '${name}'. Channels: ${Object.values(CHANNELS).map(c => c.name).join(", ")}`);
+    return;
+  }
+  publish(ns, channel, msg);
+}
+
+/** Tab completion: channel names */
+export function autocomplete() {
+  return Object.values(CHANNELS).map(channel => channel.name);
+}
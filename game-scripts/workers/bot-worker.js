@@ -1,42 +1,26 @@
+import { CHANNELS, readData } from "../lib/bus.js";
+
 /** @param {NS} ns */
 export async function main(ns) {
     // Configuration
     const HACK_THRESHOLD = 0.75; // Hack when server money is above 75% of max
     const GROW_THRESHOLD = 0.5; // Grow when server money is below 50% of max
-    const DEFAULT_PORT = 1; // Default port to read target from
-    const DEFAULT_TARGET = "n00dles"; // Default target if none is specified
+    const DEFAULT_TARGET = "n00dles"; // Default target if none is published
 
     // Get the name of the server this script is running on
     const currentServer = ns.getHostname();
 
-    // Get port number from arguments, default to 1 if not provided
-    const portNumber = ns.args.length > 0 ? parseInt(ns.args[0]) : DEFAULT_PORT;
-
-    // Validate port number
-    if (isNaN(portNumber) || portNumber < 1 || portNumber > 20) {
-        ns.tprint(`ERROR: Invalid port number. Using default port ${DEFAULT_PORT}.`);
-        portNumber = DEFAULT_PORT;
-    }
-
-    // Determine initial target using peek
-    let initialTarget = ns.peek(portNumber);
-    if (initialTarget === "NULL PORT DATA") {
-        initialTarget = DEFAULT_TARGET;
-    }
+    // Overlord publishes the best target on the target channel; reading it never consumes it
+    const readTarget = () => String(readData(ns, CHANNELS.TARGET, DEFAULT_TARGET));
 
     ns.tprint(
-        `Bot worker started on ${currentServer}. Listening on port ${portNumber}. Initial target: ${initialTarget}`
+        `Bot worker started on ${currentServer}. Following the ${CHANNELS.TARGET.name} channel. Initial target: ${readTarget()}`
     );
 
     while (true) {
-        // Read target from port
-        let target = ns.peek(portNumber);
-        if (target === "NULL PORT DATA") {
-            target = DEFAULT_TARGET;
-            ns.print(`[${currentServer}] No target specified. Defaulting to ${DEFAULT_TARGET}`);
-        } else {
-            ns.print(`[${currentServer}] Received target: ${target}`);
-        }
+        // Read target from the bus
+        let target = readTarget();
+        ns.print(`[${currentServer}] Target: ${target}`);
 
         // Main hacking loop
         while (true) {
@@ -56,16 +40,10 @@ export async function main(ns) {
             }
 
             // Check if target has changed
-            const newTarget = ns.peek(portNumber);
-            if (newTarget !== "NULL PORT DATA" && newTarget !== target) {
+            const newTarget = readTarget();
+            if (newTarget !== target) {
                 ns.print(`[${currentServer}] Switching target from ${target} to ${newTarget}`);
-                target = newTarget; // Update target
-                ns.peek(portNumber); // Clear the port after reading
                 break; // Exit inner loop to start fresh with new target
-            } else if (newTarget === "NULL PORT DATA" && target !== DEFAULT_TARGET) {
-                ns.print(`[${currentServer}] No target specified. Switching to default target ${DEFAULT_TARGET}`);
-                target = DEFAULT_TARGET;
-                break; // Exit inner loop to start fresh with default target
             }
         }
     }
@@ -0,0 +1,9 @@
+/** @param {NS} ns */
+export async function main(ns) {
+    // Single-action batch worker: grow the target once after an optional delay
+    // args: target, delay (ms), batch tag (keeps concurrent execs unique)
+    const target = ns.args[0];
+    const delay = Number(ns.args[1]) || 0;
+
+    await ns.grow(target, { additionalMsec: delay });
+}
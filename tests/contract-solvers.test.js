@@ -0,0 +1,240 @@
+// Offline tests for the coding contract solvers.
+// Run with: npm test
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { SOLVERS } from "../game-scripts/lib/contract-solvers.js";
+
+// Exact-answer vectors: [data, expected]
+const VECTORS = {
+    "Find Largest Prime Factor": [
+        [2, 2],
+        [97, 97],
+        [600851475143, 6857],
+        [1024, 2],
+    ],
+    "Subarray with Maximum Sum": [
+        [[-2, 1, -3, 4, -1, 2, 1, -5, 4], 6],
+        [[-3, -1, -2], -1],
+        [[5], 5],
+        [[], 0],
+    ],
+    "Total Ways to Sum": [
+        [5, 6],
+        [2, 1],
+        [1, 0],
+    ],
+    "Total Ways to Sum II": [
+        [[5, [1, 2, 5]], 4],
+        [[3, [2]], 0],
+        [[0, [1, 2]], 1],
+    ],
+    "Spiralize Matrix": [
+        [[[1, 2, 3], [4, 5, 6], [7, 8, 9]], [1, 2, 3, 6, 9, 8, 7, 4, 5]],
+        [[[1, 2, 3, 4], [5, 6, 7, 8], [9, 10, 11, 12]], [1, 2, 3, 4, 8, 12, 11, 10, 9, 5, 6, 7]],
+        [[[1], [2], [3]], [1, 2, 3]],
+        [[[7]], [7]],
+        [[], []],
+    ],
+    "Array Jumping Game": [
+        [[2, 3, 1, 1, 4], 1],
+        [[3, 2, 1, 0, 4], 0],
+        [[0], 1],
+    ],
+    "Array Jumping Game II": [
+        [[2, 3, 1, 1, 4], 2],
+        [[3, 2, 1, 0, 4], 0],
+        [[0], 0],
+    ],
+    "Merge Overlapping Intervals": [
+        [[[1, 3], [8, 10], [2, 6], [10, 16]], [[1, 6], [8, 16]]],
+        [[[1, 4], [2, 3]], [[1, 4]]],
+        [[], []],
+    ],
+    "Algorithmic Stock Trader I": [
+        [[7, 1, 5, 3, 6, 4], 5],
+        [[7, 6, 4, 3, 1], 0],
+        [[], 0],
+    ],
+    "Algorithmic Stock Trader II": [
+        [[7, 1, 5, 3, 6, 4], 7],
+        [[1, 2, 3, 4, 5], 4],
+        [[5], 0],
+    ],
+    "Algorithmic Stock Trader III": [
+        [[3, 3, 5, 0, 0, 3, 1, 4], 6],
+        [[1, 2, 3, 4, 5], 4],
+        [[7, 6, 4, 3, 1], 0],
+        [[], 0],
+    ],
+    "Algorithmic Stock Trader IV": [
+        [[2, [2, 4, 1]], 2],
+        [[2, [3, 2, 6, 5, 0, 3]], 7],
+        [[0, [1, 5]], 0],
+        [[100, [1, 3, 2, 8]], 8],
+    ],
+    "Minimum Path Sum in a Triangle": [
+        [[[2], [3, 4], [6, 5, 7], [4, 1, 8, 3]], 11],
+        [[[5]], 5],
+    ],
+    "Unique Paths in a Grid I": [
+        [[3, 7], 28],
+        [[1, 1], 1],
+        [[2, 2], 2],
+    ],
+    "Unique Paths in a Grid II": [
+        [[[0, 0, 0], [0, 1, 0], [0, 0, 0]], 2],
+        [[[1, 0], [0, 0]], 0],
+        [[[1, 1], [1, 1]], 0],
+        [[[0]], 1],
+    ],
+    "Shortest Path in a Grid": [
+        [[[0, 1, 0, 0, 0], [0, 0, 0, 1, 0]], "DRRURRD"],
+        [[[0, 1], [1, 0]], ""],
+        [[[1, 1], [1, 1]], ""],
+        [[[0]], ""],
+    ],
+    "HammingCodes: Integer to Encoded Binary": [
+        [8, "11110000"],
+        [21, "1001101011"],
+        [1, "1111"],
+    ],
+    "HammingCodes: Encoded Binary to Integer": [
+        ["11110000", 8],
+        ["11010000", 8], // Bit 2 flipped
+        ["1001101011", 21],
+    ],
+    "Compression I: RLE Compression": [
+        ["aaaaabccc", "5a1b3c"],
+        ["aaaaaaaaaaaaaa", "9a5a"],
+        ["a", "1a"],
+        ["", ""],
+    ],
+    "Compression II: LZ Decompression": [
+        ["5aaabb450723abb", "aaabbaaababababaabb"],
+        ["2ab01b", "abb"],
+        ["", ""],
+    ],
+    "Encryption I: Caesar Cipher": [
+        [["DEBUG MODEM", 3], "ABYRD JLABJ"],
+        [["ABC", 0], "ABC"],
+        [["ABC", 26], "ABC"],
+    ],
+    "Encryption II: Vigenère Cipher": [
+        [["DASHBOARD", "LINUX"], "OIFBYZIEX"],
+        [["A", "Z"], "Z"],
+    ],
+    "Square Root": [
+        ["144", "12"],
+        ["8", "3"], // 2.83 rounds up
+        ["6", "2"], // 2.45 rounds down
+        ["0", "0"],
+        [10n ** 200n, (10n ** 100n).toString()],
+        [(10n ** 100n + 1n) ** 2n - 1n, (10n ** 100n + 1n).toString()],
+    ],
+};
+
+// Answers the game accepts in any order
+const UNORDERED = {
+    "Generate IP Addresses": [
+        ["25525511135", ["255.255.11.135", "255.255.111.35"]],
+        ["1938718066", ["193.87.180.66"]],
+        ["0000", ["0.0.0.0"]],
+        ["123", []],
+    ],
+    "Find All Valid Math Expressions": [
+        [["123", 6], ["1+2+3", "1*2*3"]],
+        [["105", 5], ["1*0+5", "10-5"]],
+        [["00", 0], ["0+0", "0-0", "0*0"]],
+        [["5", 6], []],
+    ],
+    "Sanitize Parentheses in Expression": [
+        ["()())()", ["()()()", "(())()"]],
+        ["(a)())()", ["(a)()()", "(a())()"]],
+        [")(", [""]],
+        ["", [""]],
+    ],
+};
+
+for (const [type, vectors] of Object.entries(VECTORS)) {
+    test(type, () => {
+        for (const [data, expected] of vectors) {
+            assert.deepEqual(SOLVERS[type](structuredClone(data)), expected, `data: ${String(data)}`);
+        }
+    });
+}
+
+for (const [type, vectors] of Object.entries(UNORDERED)) {
+    test(type, () => {
+        for (const [data, expected] of vectors) {
+            assert.deepEqual([...SOLVERS[type](structuredClone(data))].sort(), [...expected].sort());
+        }
+    });
+}
+
+test("Proper 2-Coloring of a Graph", () => {
+    const solve = SOLVERS["Proper 2-Coloring of a Graph"];
+    const isProper = ([count, edges], colors) =>
+        colors.length === count && edges.every(([a, b]) => colors[a] !== colors[b]);
+
+    const square = [4, [[0, 2], [0, 3], [1, 2], [1, 3]]];
+    assert.ok(isProper(square, solve(square)));
+
+    const disconnected = [5, [[0, 1], [3, 4]]];
+    assert.ok(isProper(disconnected, solve(disconnected)));
+
+    assert.deepEqual(solve([3, [[0, 1], [1, 2], [2, 0]]]), []); // Odd cycle
+    assert.deepEqual(solve([1, []]), [0]);
+});
+
+test("Compression III: LZ Compression", () => {
+    const compress = SOLVERS["Compression III: LZ Compression"];
+    const decompress = SOLVERS["Compression II: LZ Decompression"];
+
+    // Any encoding of optimal length is accepted; check round trip and length
+    const optimal = [
+        ["abracadabra", 10],
+        ["mississippi", 11],
+        ["aaaaaaaaaaaaaa", 7],
+        ["aaaaaaaaaaaaaaaaaaaa", 8],
+        ["abcabcabcabc", 6],
+        ["a", 2],
+    ];
+    for (const [plain, length] of optimal) {
+        const encoded = compress(plain);
+        assert.equal(decompress(encoded), plain, `round trip of ${plain}`);
+        assert.equal(encoded.length, length, `length for ${plain}: ${encoded}`);
+    }
+    assert.equal(compress(""), "");
+});
+
+test("Largest Rectangle in a Matrix", () => {
+    const solve = SOLVERS["Largest Rectangle in a Matrix"];
+    const area = ([[top, left], [bottom, right]]) => (bottom - top + 1) * (right - left + 1);
+
+    const matrix = [
+        [1, 0, 0],
+        [0, 0, 0],
+        [1, 0, 0],
+    ];
+    const corners = solve(matrix);
+    assert.equal(area(corners), 6);
+    for (let row = corners[0][0]; row <= corners[1][0]; row++) {
+        for (let col = corners[0][1]; col <= corners[1][1]; col++) {
+            assert.equal(matrix[row][col], 0);
+        }
+    }
+
+    assert.deepEqual(solve([[1, 1], [1, 1]]), []);
+});
+
+test("Every solver has test coverage", () => {
+    const covered = new Set([
+        ...Object.keys(VECTORS),
+        ...Object.keys(UNORDERED),
+        "Proper 2-Coloring of a Graph",
+        "Compression III: LZ Compression",
+        "Largest Rectangle in a Matrix",
+    ]);
+    assert.deepEqual(Object.keys(SOLVERS).filter(type => !covered.has(type)), []);
+});
@@ -0,0 +1,115 @@
+// Offline tests for the hacknet production model and payback math.
+// Run with: npm test
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+    ACTION, MONEY_PER_HASH, baseNodeProduction, baseServerHashes, createProductionModel, getBreakeven,
+    listCandidates, pickBest,
+} from "../game-scripts/lib/hacknet.js";
+
+const close = (actual, expected) => assert.ok(Math.abs(actual - expected) <= 1e-9 * Math.max(1, Math.abs(expected)),
+    `expected ${expected}, got ${actual}`);
+
+/**
+ * A farm of plain nodes (or servers when hashCapacity > 0), without Formulas.exe.
+ * Every node's observed production is `factor` times the base formula.
+ */
+function createNs({ nodes = [], factor = 1, mult = 1, hashCapacity = 0, costs = {}, sources = {} } = {}) {
+    const server = hashCapacity > 0;
+    return {
+        fileExists: () => false,
+        getPlayer: () => ({ mults: { hacknet_node_money: mult } }),
+        getMoneySources: () => ({ sinceInstall: sources }),
+        hacknet: {
+            hashCapacity: () => hashCapacity,
+            numNodes: () => nodes.length,
+            maxNumNodes: () => costs.maxNodes ?? 20,
+            getNodeStats: i => ({
+                ramUsed: 0,
+                ...nodes[i],
+                production: factor * (server ?
+                    baseServerHashes(nodes[i].level, 0, nodes[i].ram, nodes[i].cores) :
+                    baseNodeProduction(nodes[i].level, nodes[i].ram, nodes[i].cores)),
+            }),
+            getLevelUpgradeCost: (node, levels) => (costs.level ?? 100) * levels,
+            getRamUpgradeCost: () => costs.ram ?? 1000,
+            getCoreUpgradeCost: () => costs.cores ?? 500,
+            getPurchaseNodeCost: () => costs.node ?? 50,
+        },
+    };
+}
+
+test("base node production follows the game's formula", () => {
+    close(baseNodeProduction(1, 1, 1), 1.5);
+    close(baseNodeProduction(10, 2, 1), 15 * 1.035);
+    close(baseNodeProduction(10, 1, 7), 15 * 2);
+});
+
+test("base server hashes fall linearly with RAM in use", () => {
+    close(baseServerHashes(1, 0, 1, 1), 0.001);
+    close(baseServerHashes(100, 32, 64, 1), baseServerHashes(100, 0, 64, 1) / 2);
+});
+
+test("without nodes the model falls back to the player multiplier", () => {
+    const model = createProductionModel(createNs({ mult: 3 }));
+    assert.equal(model.source, "estimate");
+    assert.equal(model.hashes, null);
+    close(model.production(10, 1, 1), 45);
+});
+
+test("the model calibrates to observed production", () => {
+    const model = createProductionModel(createNs({ nodes: [{ level: 10, ram: 1, cores: 1 }], factor: 2, mult: 5 }));
+    assert.equal(model.source, "calibrated");
+    close(model.production(20, 1, 1), 2 * baseNodeProduction(20, 1, 1));
+});
+
+test("hacknet servers value hashes at the sell price", () => {
+    const model = createProductionModel(createNs({ nodes: [{ level: 10, ram: 64, cores: 1 }], hashCapacity: 64 }));
+    assert.ok(model.serverMode);
+    close(model.production(10, 64, 1), baseServerHashes(10, 0, 64, 1) * MONEY_PER_HASH);
+    close(model.hashes(10, 32, 64, 1), baseServerHashes(10, 32, 64, 1));
+});
+
+test("candidates are scored by added production per dollar with their payback", () => {
+    const ns = createNs({ nodes: [{ level: 10, ram: 1, cores: 1 }] });
+    const model = createProductionModel(ns);
+    const byType = Object.fromEntries(listCandidates(ns, model, 5).map(candidate => [candidate.type, candidate]));
+
+    assert.deepEqual(Object.keys(byType).sort(), [ACTION.CORES, ACTION.LEVEL, ACTION.NODE, ACTION.RAM].sort());
+    close(byType[ACTION.LEVEL].gain, 5 * 1.5);
+    assert.equal(byType[ACTION.LEVEL].cost, 500);
+    close(byType[ACTION.RAM].gain, 15 * 0.035); // RAM doubles from 1 to 2 GB
+    close(byType[ACTION.CORES].gain, 2.5);
+    close(byType[ACTION.NODE].gain, 1.5);
+    for (const candidate of Object.values(byType)) {
+        close(candidate.score, candidate.gain / candidate.cost);
+        close(candidate.payback, candidate.cost / candidate.gain);
+    }
+});
+
+test("maxed upgrades and a full farm produce no candidates", () => {
+    const ns = createNs({ nodes: [{ level: 200, ram: 64, cores: 16 }], costs: { maxNodes: 1 } });
+    assert.deepEqual(listCandidates(ns, createProductionModel(ns), 5), []);
+});
+
+test("the best candidate must pay back within the horizon", () => {
+    const candidates = [
+        { type: ACTION.LEVEL, score: 0.5, payback: 2 },
+        { type: ACTION.RAM, score: 0.9, payback: 100 },
+        { type: ACTION.CORES, score: 0.1, payback: 10 },
+    ];
+    assert.equal(pickBest(candidates, 50).type, ACTION.LEVEL);
+    assert.equal(pickBest(candidates, 1000).type, ACTION.RAM);
+    assert.equal(pickBest(candidates, 1), null);
+});
+
+test("breakeven covers the deficit at current production", () => {
+    const ns = createNs({ sources: { hacknet: 400, hacknet_expenses: -1000 } });
+    assert.deepEqual(getBreakeven(ns, 10), { spent: 1000, earned: 400, net: -600, seconds: 60 });
+    assert.equal(getBreakeven(ns, 0).seconds, Infinity);
+
+    const paid = createNs({ sources: { hacknet: 1500, hacknet_expenses: -1000 } });
+    assert.equal(getBreakeven(paid, 10).seconds, 0);
+    assert.equal(getBreakeven(createNs(), 10).net, 0);
+});
@@ -0,0 +1,64 @@
+// Offline tests for the metrics ring buffer and income rates.
+// Run with: npm test
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { orderedSamples, pushSample, toRates } from "../game-scripts/lib/metrics.js";
+
+function sample(minute, overrides = {}) {
+    return {
+        time: minute * 60000,
+        money: 0,
+        hackLevel: 1,
+        hackExp: 0,
+        sources: {},
+        targets: {},
+        goBonus: {},
+        lastAugReset: 0,
+        ...overrides,
+    };
+}
+
+test("the ring overwrites its oldest samples once full", () => {
+    const ring = { capacity: 3, next: 0, samples: [] };
+    for (let minute = 0; minute < 5; minute++) pushSample(ring, sample(minute));
+
+    assert.equal(ring.samples.length, 3);
+    assert.deepEqual(orderedSamples(ring).map(entry => entry.time / 60000), [2, 3, 4]);
+});
+
+test("a ring that isn't full yet is already in order", () => {
+    const ring = { capacity: 3, next: 0, samples: [] };
+    pushSample(ring, sample(0));
+    pushSample(ring, sample(1));
+    assert.deepEqual(orderedSamples(ring).map(entry => entry.time / 60000), [0, 1]);
+});
+
+test("rates come from the difference between consecutive samples", () => {
+    const points = toRates([
+        sample(0, { hackExp: 100, sources: { hacking: 0, hacknet: 600 } }),
+        sample(1, { hackExp: 700, sources: { hacking: 6000, hacknet: 600, hacknet_expenses: -1200 } }),
+    ]);
+
+    assert.equal(points.length, 1);
+    assert.equal(points[0].xpRate, 10);
+    assert.deepEqual(points[0].sources, { hacking: 100, hacknet_expenses: -20 });
+    assert.equal(points[0].income, 100); // Expenses don't count against income
+});
+
+test("hacking income is split across targets by expected steals", () => {
+    const [point] = toRates([
+        sample(0, { sources: { hacking: 0 }, targets: { "n00dles": 1000, "joesguns": 0 } }),
+        sample(1, { sources: { hacking: 6000 }, targets: { "n00dles": 4000, "joesguns": 1000 } }),
+    ]);
+    assert.deepEqual(point.targets, { "n00dles": 75, "joesguns": 25 });
+});
+
+test("intervals across an augmentation install are skipped", () => {
+    const points = toRates([
+        sample(0, { sources: { hacking: 5000 } }),
+        sample(1, { sources: { hacking: 10 }, lastAugReset: 30000 }),
+        sample(2, { sources: { hacking: 70 }, lastAugReset: 30000 }),
+    ]);
+    assert.deepEqual(points.map(point => point.sources), [{ hacking: 1 }]);
+});
@@ -0,0 +1,76 @@
+// Offline tests for the network model's route finder and discovery change events.
+// Run with: npm test
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { NETWORK_EVENT, connectString, createNetwork, diffNetworks, getPath } from "../game-scripts/lib/network.js";
+
+function host(hostname, parent, overrides = {}) {
+    return {
+        hostname,
+        parent,
+        children: [],
+        hasRootAccess: false,
+        backdoorInstalled: false,
+        maxRam: 8,
+        requiredHackingSkill: 1,
+        ...overrides,
+    };
+}
+
+const TREE = createNetwork([
+    host("home", null, { hasRootAccess: true, maxRam: 64 }),
+    host("n00dles", "home"),
+    host("CSEC", "n00dles", { requiredHackingSkill: 50 }),
+    host("avmnite-02h", "CSEC", { requiredHackingSkill: 200 }),
+], 10);
+
+test("getPath walks parent links back to home", () => {
+    assert.deepEqual(getPath(TREE, "avmnite-02h"), ["home", "n00dles", "CSEC", "avmnite-02h"]);
+    assert.deepEqual(getPath(TREE, "home"), ["home"]);
+    assert.equal(getPath(TREE, "nowhere"), null);
+});
+
+test("getPath gives up on broken or looping parent links", () => {
+    const orphan = createNetwork([host("home", null), host("lost", "missing")]);
+    assert.equal(getPath(orphan, "lost"), null);
+
+    const loop = createNetwork([host("home", null), host("a", "b"), host("b", "a")]);
+    assert.equal(getPath(loop, "a"), null);
+});
+
+test("connectString turns a path into terminal commands", () => {
+    assert.equal(connectString(getPath(TREE, "CSEC")), "home; connect n00dles; connect CSEC");
+});
+
+test("the first scan reports no events", () => {
+    assert.deepEqual(diffNetworks(createNetwork([]), TREE), []);
+});
+
+test("an unchanged network reports no events", () => {
+    assert.deepEqual(diffNetworks(TREE, createNetwork(TREE.servers, 10)), []);
+});
+
+test("diffNetworks reports new hosts, root, backdoors, RAM and hackable changes", () => {
+    const current = createNetwork([
+        host("home", null, { hasRootAccess: true, maxRam: 128 }),
+        host("n00dles", "home", { hasRootAccess: true, backdoorInstalled: true }),
+        host("CSEC", "n00dles", { requiredHackingSkill: 50 }),
+        host("avmnite-02h", "CSEC", { requiredHackingSkill: 200 }),
+        host("pserv-0000", "home", { hasRootAccess: true }),
+    ], 60);
+
+    const events = diffNetworks(TREE, current).map(({ type, hostname, details }) => ({ type, hostname, details }));
+    assert.deepEqual(events, [
+        { type: NETWORK_EVENT.RAM_CHANGED, hostname: "home", details: { from: 64, to: 128 } },
+        { type: NETWORK_EVENT.ROOT_GAINED, hostname: "n00dles", details: undefined },
+        { type: NETWORK_EVENT.BACKDOOR_INSTALLED, hostname: "n00dles", details: undefined },
+        { type: NETWORK_EVENT.HACKABLE, hostname: "CSEC", details: { requiredHackingSkill: 50 } },
+        { type: NETWORK_EVENT.NEW_HOST, hostname: "pserv-0000", details: undefined },
+    ]);
+});
+
+test("hackable events need the hacking level from both scans", () => {
+    const before = createNetwork(TREE.servers); // An older file without hackLevel
+    assert.deepEqual(diffNetworks(before, createNetwork(TREE.servers, 500)), []);
+});
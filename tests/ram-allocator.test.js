@@ -0,0 +1,109 @@
+// Offline tests for the RAM pool's hacknet server decision, fed a target plan from the planner.
+// Run with: npm test
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { CHANNELS, publish } from "../game-scripts/lib/bus.js";
+import { HACKNET_POLICY, getRamPool } from "../game-scripts/lib/ram-allocator.js";
+import { planTargets } from "../game-scripts/lib/target-planner.js";
+
+// One prepped target earning ~57 $/s per GB of batch RAM: 10 hack, 6 grow and 1 weaken threads
+// (29.25 GB) steal $100k per 60 s weaken cycle
+const TARGET = { maxMoney: 1e6, hackPercent: 0.01, weakenTime: 60000, growThreads: 5 };
+
+// Hash rates chosen so one server loses far less than a batch GB earns and the other far more
+const HACKNET = [
+    { name: "hacknet-server-0", ram: 64, ramUsed: 0, production: 1e-5 }, // ~$0.04/s per GB
+    { name: "hacknet-server-1", ram: 64, ramUsed: 0, production: 0.1 }, // ~$390/s per GB
+];
+
+function createNs() {
+    const ports = new Map();
+    const portHandle = port => {
+        if (!ports.has(port)) ports.set(port, []);
+        const queue = ports.get(port);
+        return {
+            write: message => queue.push(message),
+            peek: () => queue.length > 0 ? queue[0] : "NULL PORT DATA",
+            read: () => queue.length > 0 ? queue.shift() : "NULL PORT DATA",
+            empty: () => queue.length === 0,
+        };
+    };
+    const hosts = new Map([["home", { maxRam: 128 }], ...HACKNET.map(node => [node.name, { maxRam: node.ram }])]);
+
+    return {
+        print() {},
+        getScriptName: () => "core/overlord.js",
+        getPortHandle: portHandle,
+        peek: port => portHandle(port).peek(),
+        read: () => "",
+        fileExists: file => file.startsWith("workers/"),
+        scriptRunning: () => false,
+        getScriptRam: script => script === "workers/hack.js" ? 1.7 : 1.75,
+
+        getHackingLevel: () => 100,
+        getServerRequiredHackingLevel: () => 1,
+        getServerMaxMoney: () => TARGET.maxMoney,
+        getServerMoneyAvailable: () => TARGET.maxMoney,
+        getServerSecurityLevel: () => 1,
+        getServerMinSecurityLevel: () => 1,
+        hackAnalyze: () => TARGET.hackPercent,
+        hackAnalyzeChance: () => 1,
+        getWeakenTime: () => TARGET.weakenTime,
+        growthAnalyze: () => TARGET.growThreads,
+
+        getPurchasedServers: () => [],
+        serverExists: hostname => hosts.has(hostname),
+        hasRootAccess: () => true,
+        getServerMaxRam: hostname => hosts.get(hostname).maxRam,
+        getServerUsedRam: () => 0,
+        hacknet: {
+            hashCapacity: () => 64,
+            numNodes: () => HACKNET.length,
+            getNodeStats: node => HACKNET[node],
+        },
+    };
+}
+
+function publishPlan(ns) {
+    const plan = planTargets(ns, [{ hostname: "n00dles" }], 1000);
+    publish(ns, CHANNELS.TARGET_PLAN, plan);
+    return plan;
+}
+
+test("the target plan carries each target's income per GB", () => {
+    const plan = publishPlan(createNs());
+    assert.equal(plan.targets.length, 1);
+    assert.ok(Math.abs(plan.targets[0].moneyPerSecPerGb - 1e5 / 29.25 / 60) < 1e-9);
+});
+
+test("idle policy keeps cheap hacknet servers as a last resort and drops costly ones", () => {
+    const ns = createNs();
+    publishPlan(ns);
+    const pool = getRamPool(ns, HACKNET_POLICY.IDLE);
+    assert.deepEqual(pool.map(host => [host.hostname, host.lastResort]), [
+        ["home", false],
+        ["hacknet-server-0", true],
+    ]);
+});
+
+test("always policy uses cheap hacknet servers like any other host", () => {
+    const ns = createNs();
+    publishPlan(ns);
+    const pool = getRamPool(ns, HACKNET_POLICY.ALWAYS);
+    assert.deepEqual(pool.map(host => [host.hostname, host.lastResort]), [
+        ["home", false],
+        ["hacknet-server-0", false],
+    ]);
+});
+
+test("never policy leaves every hacknet server out", () => {
+    const ns = createNs();
+    publishPlan(ns);
+    assert.deepEqual(getRamPool(ns, HACKNET_POLICY.NEVER).map(host => host.hostname), ["home"]);
+});
+
+test("without a plan every hacknet server is worth using", () => {
+    const pool = getRamPool(createNs(), HACKNET_POLICY.ALWAYS);
+    assert.deepEqual(pool.map(host => host.hostname).sort(), ["hacknet-server-0", "hacknet-server-1", "home"]);
+});
@@ -0,0 +1,68 @@
+// Offline tests for the pre-4S stock forecast estimator.
+// Run with: npm test
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { createForecastEstimator } from "../game-scripts/lib/stock-forecast.js";
+
+// Feed a sequence of moves: "u" rises 1%, "d" falls 1%, "-" stays put
+function feed(estimator, symbol, moves, start = 100) {
+    let price = start;
+    estimator.record(symbol, price);
+    for (const move of moves) {
+        if (move === "u") price *= 1.01;
+        if (move === "d") price *= 0.99;
+        estimator.record(symbol, price);
+    }
+    return price;
+}
+
+test("the estimate stays neutral until enough ticks are seen", () => {
+    const estimator = createForecastEstimator({ minSamples: 20 });
+    feed(estimator, "ECP", "u".repeat(19));
+    assert.equal(estimator.isReady("ECP"), false);
+    assert.equal(estimator.getForecast("ECP"), 0.5);
+    assert.equal(estimator.getVolatility("ECP"), 0);
+    assert.equal(estimator.isReady("MGCP"), false);
+});
+
+test("the forecast is the share of up moves, ignoring flat ticks", () => {
+    const estimator = createForecastEstimator({ minSamples: 20, flipMargin: 0.5 });
+    feed(estimator, "ECP", "uuudu-".repeat(4));
+    assert.equal(estimator.getSampleCount("ECP"), 24);
+    assert.ok(estimator.isReady("ECP"));
+    assert.equal(estimator.getForecast("ECP"), 0.8);
+});
+
+test("volatility is the largest relative move", () => {
+    const estimator = createForecastEstimator({ minSamples: 5 });
+    const price = feed(estimator, "ECP", "ududu");
+    estimator.record("ECP", price * 1.03);
+    assert.ok(Math.abs(estimator.getVolatility("ECP") - 0.03) < 1e-12);
+});
+
+test("history is capped at the window", () => {
+    const estimator = createForecastEstimator({ window: 30, minSamples: 20, flipMargin: 0.5 });
+    feed(estimator, "ECP", "ud".repeat(40));
+    assert.equal(estimator.getSampleCount("ECP"), 30);
+});
+
+test("a cycle flip drops the history from before it", () => {
+    const estimator = createForecastEstimator({ window: 60, minSamples: 20, shortWindow: 10, flipMargin: 0.15 });
+    // The seventh down move leaves 3 ups in the last 10 changes, past the 0.35 margin
+    feed(estimator, "ECP", "u".repeat(30) + "d".repeat(7));
+
+    assert.equal(estimator.getFlips("ECP"), 1);
+    assert.equal(estimator.getSampleCount("ECP"), 10);
+    // The short window that revealed the flip is enough to trade on
+    assert.ok(estimator.isReady("ECP"));
+    assert.equal(estimator.getForecast("ECP"), 0.3);
+});
+
+test("symbols are tracked separately", () => {
+    const estimator = createForecastEstimator({ minSamples: 10, flipMargin: 0.5 });
+    feed(estimator, "ECP", "u".repeat(10));
+    feed(estimator, "MGCP", "d".repeat(10));
+    assert.equal(estimator.getForecast("ECP"), 1);
+    assert.equal(estimator.getForecast("MGCP"), 0);
+});